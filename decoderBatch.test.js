@@ -0,0 +1,148 @@
+/* This code is free software:
+ * you can redistribute it and/or modify it under the terms of a Creative
+ * Commons Attribution-NonCommercial 4.0 International License
+ * (http://creativecommons.org/licenses/by-nc/4.0/)
+ *
+ * Copyright (c) 2024 March by Klaasjan Wagenaar, Tristan Bosveld and Richard Kroesen
+ */
+
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const { decodeExport, createCsvWriter, createNdjsonWriter, formatSummary, run } = require('./decoder_batch');
+const recordedUplink = require('./samples_webhook.json');
+
+/**
+ * @brief Builds an uplink message of a Storage Integration export from the recorded webhook body.
+ */
+function uplink(deviceId, receivedAt, fPort, bytes) {
+    const message = JSON.parse(JSON.stringify(recordedUplink));
+    message.end_device_ids.device_id = deviceId;
+    message.received_at = message.uplink_message.received_at = receivedAt;
+    message.uplink_message.f_port = fPort;
+    message.uplink_message.frm_payload = Buffer.from(bytes).toString('base64');
+    return message;
+}
+
+const exportLines = [
+    JSON.stringify({ result: uplink('node-1', '2024-03-20T12:00:00Z', 1, [0x67, 0x01, 0x03, 0x01, 0x02, 0x05, 0x64, 0x02]) }),
+    JSON.stringify({ result: uplink('node-2', '2024-03-20T12:01:00Z', 1, [0x04, 0x01]) }),
+    'not json',
+    '',
+    JSON.stringify(uplink('node-1', '2024-03-20T12:05:00Z', 1, [0x71, 0x09, 0x2E, 0xFB, 0x02, 0x00, 0xD2, 0x04]))
+];
+
+/**
+ * @brief Decodes an export text with the given writer and returns the output and summary.
+ */
+async function decodeText(text, createWriter) {
+    let output = '';
+    const writer = createWriter((chunk) => { output += chunk; });
+    const summary = await decodeExport(Readable.from([text]), writer.write);
+    writer.end();
+    return { output, summary };
+}
+
+describe('Batch decoding of uplink exports', () => {
+
+    /* TEST #1 wide CSV */
+    it('writes a CSV column per decoded key and field', async () => {
+        const { output } = await decodeText(exportLines.join("\n"), createCsvWriter);
+
+        expect(output.split("\n")).toEqual([
+            "received_at,device_id,dev_eui,f_port,temperature_1,analog_5,accelerometer_9.x,accelerometer_9.y,accelerometer_9.z,errors",
+            "2024-03-20T12:00:00Z,node-1,0004A30B001C0530,1,25.9,6.12,,,,",
+            "2024-03-20T12:01:00Z,node-2,0004A30B001C0530,1,,,,,,Unknown type: 4",
+            "2024-03-20T12:05:00Z,node-1,0004A30B001C0530,1,,,-1.234,0.002,1.234,",
+            ""
+        ]);
+    });
+
+    /* TEST #2 NDJSON */
+    it('writes a JSON line per decoded message', async () => {
+        const { output } = await decodeText(exportLines.join("\n"), createNdjsonWriter);
+        const lines = output.trim().split("\n").map((line) => JSON.parse(line));
+
+        expect(lines).toHaveLength(3);
+        expect(lines[0]).toEqual({
+            received_at: '2024-03-20T12:00:00Z',
+            device_id: 'node-1',
+            dev_eui: '0004A30B001C0530',
+            f_port: 1,
+            data: { temperature_1: 25.9, analog_5: 6.12 },
+            warnings: [],
+            errors: []
+        });
+    });
+
+    /* TEST #3 error summary */
+    it('collects the failed messages in a summary instead of stopping', async () => {
+        const { summary } = await decodeText(exportLines.join("\n"), createNdjsonWriter);
+
+        expect(summary.messages).toBe(4);
+        expect(summary.decoded).toBe(2);
+        expect(summary.failed).toBe(2);
+        expect(summary.errors[0]).toEqual({
+            message: 2, device_id: 'node-2', received_at: '2024-03-20T12:01:00Z', errors: ["Unknown type: 4"]
+        });
+        expect(summary.errors[1].message).toBe(3);
+        expect(summary.errors[1].errors[0]).toMatch(/^Invalid JSON: /);
+        expect(formatSummary(summary).split("\n")[0]).toBe("Decoded 2 of 4 messages, 2 failed");
+    });
+
+    /* TEST #4 JSON array export */
+    it('decodes a pretty printed JSON array of messages', async () => {
+        const messages = [
+            uplink('node-3', '2024-03-20T13:00:00Z', 2, [0x03, 0x67, 0x01, 0x10]),
+            { end_device_ids: { device_id: 'node-4' }, uplink_message: { f_port: 1 } }
+        ];
+
+        const { output, summary } = await decodeText(JSON.stringify(messages, null, 2), createCsvWriter);
+
+        expect(output.split("\n")[1]).toBe("2024-03-20T13:00:00Z,node-3,0004A30B001C0530,2,27.2,");
+        expect(summary.failed).toBe(1);
+        expect(summary.errors[0].errors).toEqual(["JSON is not a TTN uplink message: uplink_message.frm_payload is missing"]);
+    });
+
+    /* TEST #5 command line */
+    it('returns exit code 1 when a message failed and prints the summary', async () => {
+        const output = { stdout: '', stderr: '' };
+        const code = await run(['--format', 'ndjson'], {
+            stdin: Readable.from([exportLines.join("\n")]),
+            stdout: (text) => { output.stdout += text; },
+            stderr: (text) => { output.stderr += text; }
+        });
+
+        expect(code).toBe(1);
+        expect(output.stdout.trim().split("\n")).toHaveLength(3);
+        expect(output.stderr).toContain("message 2 (node-2, 2024-03-20T12:01:00Z): Unknown type: 4");
+        expect(await run(['--format', 'xml'], { stderr: () => {} })).toBe(2);
+    });
+
+    /* TEST #6 corrupt first line */
+    it('counts a corrupt first line as failed message and decodes the following lines', async () => {
+        const lines = ['{"result": {"end_device_ids"'].concat(exportLines.slice(0, 2));
+        const { output, summary } = await decodeText(lines.join("\n"), createCsvWriter);
+
+        expect(summary.messages).toBe(3);
+        expect(summary.decoded).toBe(1);
+        expect(summary.errors[0].message).toBe(1);
+        expect(summary.errors[0].errors[0]).toMatch(/^Invalid JSON: /);
+        expect(output.split("\n")[1]).toBe("2024-03-20T12:00:00Z,node-1,0004A30B001C0530,1,25.9,6.12,");
+    });
+
+    /* TEST #7 unreadable export and unwritable output */
+    it('returns exit code 2 with the reason when the export or the output is not a file', async () => {
+        const stderr = [];
+        const io = { stdout: () => {}, stderr: (text) => { stderr.push(text); } };
+
+        const output = path.join(os.tmpdir(), 'missing', 'readings.csv');
+
+        expect(await run([os.tmpdir()], io)).toBe(2);
+        expect(await run(['--output', output, path.join(__dirname, 'samples_webhook.json')], io)).toBe(2);
+        expect(stderr).toEqual([
+            expect.stringMatching(/^Error: EISDIR: /),
+            expect.stringMatching(/^Error: ENOENT: .*readings\.csv/)
+        ]);
+    });
+});
@@ -0,0 +1,113 @@
+/* This code is free software:
+ * you can redistribute it and/or modify it under the terms of a Creative
+ * Commons Attribution-NonCommercial 4.0 International License
+ * (http://creativecommons.org/licenses/by-nc/4.0/)
+ *
+ * Copyright (c) 2024 March by Klaasjan Wagenaar, Tristan Bosveld and Richard Kroesen
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { SensorTypes } = require('./decoder_cayenneLPP_extreme');
+const { buildFormatter, buildFormatterTest, checkFormatter, hashFormatter } = require('./decoder_bundle');
+
+describe('Payload formatter bundle', () => {
+
+    /* TEST #1 complete formatter */
+    it('generates a script without module.exports that decodes like the module', () => {
+        const formatter = buildFormatter();
+
+        expect(formatter).not.toMatch(/module\.exports|require\(/);
+        expect(Buffer.byteLength(formatter)).toBeLessThan(40 * 1024);
+        expect(checkFormatter(formatter, Object.keys(SensorTypes))).toEqual([]);
+    });
+
+    /* TEST #2 enabled sensor types */
+    it('reports the sensor types that are not enabled as unknown types', () => {
+        const sensorTypes = ['TEMP_SENS', 'HUM_SENS', 'ACCRM_SENS'];
+        const formatter = buildFormatter({ sensorTypes: sensorTypes });
+        const sandbox = vm.createContext({});
+        vm.runInContext(formatter, sandbox);
+
+        expect(checkFormatter(formatter, sensorTypes)).toEqual([]);
+        expect(formatter).not.toMatch(/GPS_LOC|DIG_OUT: SensorTypes/);
+        expect(sandbox.decodeUplink({ fPort: 1, bytes: [0x67, 0x01, 0x03, 0x01] }).data).toEqual({ temperature_1: 25.9 });
+        expect(sandbox.decodeUplink({ fPort: 1, bytes: [0x88, 0x06, 0, 0, 0, 0] }).errors).toEqual(["Unknown type: 136"]);
+        expect(sandbox.encodeDownlink({ data: { digital_2: 1 } }).bytes).toEqual([1, 2, 1]);
+    });
+
+    /* TEST #3 unknown sensor type */
+    it('rejects unknown sensor type names', () => {
+        expect(() => buildFormatter({ sensorTypes: ['TEMP_SENS', 'SOIL_SENS'] })).toThrow("Unknown sensor type: SOIL_SENS");
+    });
+
+    /* TEST #4 sandbox check */
+    it('finds scripts that do not load or decode differently', () => {
+        const formatter = buildFormatter({ sensorTypes: ['TEMP_SENS'] });
+        const changed = formatter.replace("key: 'temperature', unit: '°C', precision: 10", "key: 'temperature', unit: '°C', precision: 100");
+
+        expect(checkFormatter(formatter + "\nmodule.exports = { decodeUplink };\n", ['TEMP_SENS']))
+            .toEqual(["Script does not load: module is not defined"]);
+        expect(changed).not.toBe(formatter);
+        expect(checkFormatter(changed, ['TEMP_SENS'])[0]).toMatch(/^TEMP_SENS on fPort 1: /);
+    });
+
+    /* TEST #5 generated Jest check */
+    it('generates a Jest check bound to the exact script', () => {
+        const formatter = buildFormatter({ sensorTypes: ['TEMP_SENS'] });
+        const check = buildFormatterTest(__dirname + '/dist/formatter.js', formatter, ['TEMP_SENS']);
+
+        expect(check).toContain('require("../decoder_bundle")');
+        expect(check).toContain(hashFormatter(formatter));
+        expect(check).toContain('const sensorTypes = ["TEMP_SENS"];');
+        expect(() => new vm.Script(check)).not.toThrow();
+    });
+
+    /* TEST #6 device profiles */
+    it('embeds device profiles that apply in the sandbox', () => {
+        const profiles = { 'soil-node-v2': { fPorts: [1], channels: { analog_5: { name: 'battery_v', required: true } } } };
+        const formatter = buildFormatter({ sensorTypes: ['ANL_IN', 'TEMP_SENS'], profiles: profiles });
+        const sandbox = vm.createContext({});
+        vm.runInContext(formatter, sandbox);
+
+        expect(formatter).toContain("// Device profiles: soil-node-v2");
+        expect(sandbox.decodeUplink({ fPort: 1, bytes: [0x02, 0x05, 0x64, 0x02] }).data).toEqual({ battery_v: 6.12 });
+        expect(checkFormatter(formatter, ['ANL_IN', 'TEMP_SENS'], profiles)).toEqual([]);
+        expect(checkFormatter(formatter, ['ANL_IN', 'TEMP_SENS'])[0]).toMatch(/Missing required channel: analog_5/);
+    });
+
+    /* TEST #7 tables written from the module */
+    it('writes the tables from the module, whatever the source of their definitions looks like', () => {
+        const source = fs.readFileSync(path.join(__dirname, 'decoder_cayenneLPP_extreme.js'), 'utf8')
+            .replace("    DIG_IN: {", "    // A comment with a { brace\n    NOTE: { text: '} {' },\n    DIG_IN: {");
+        const formatter = buildFormatter({ sensorTypes: ['TEMP_SENS', 'UNIX_TIME'], source: source });
+
+        expect(formatter).not.toMatch(/NOTE|DIG_IN/);
+        expect(formatter).toContain(
+            "    UNIX_TIME: { type: 133, key: 'unixtime', unit: 's', precision: 1, signed: false, bytes: 4 }\n};");
+        expect(checkFormatter(formatter, ['TEMP_SENS', 'UNIX_TIME'])).toEqual([]);
+        expect(() => buildFormatter({ source: source.replace('const PayloadLayouts = {', 'let PayloadLayouts = {') }))
+            .toThrow("Declaration not found in the decoder source: PayloadLayouts");
+    });
+
+    /* TEST #8 history payloads and output modes */
+    it('checks history payloads and the structured and decimal output against the module', () => {
+        const formatter = buildFormatter({ sensorTypes: ['TEMP_SENS'] });
+        const history = formatter.replace("time: (time === null) ? null : new Date(time).toISOString()", "time: null");
+        const structured = formatter.replace("ipso: record.sensor.type + 3200,", "ipso: record.sensor.type,");
+        const decimal = formatter.split("(options.valueFormat === 'decimal') ? record.decimal").join("false ? 0");
+
+        expect([history, structured, decimal]).not.toContain(formatter);
+        expect(checkFormatter(history, ['TEMP_SENS'])).toEqual([
+            expect.stringMatching(/^TEMP_SENS on fPort 3: /),
+            expect.stringMatching(/^TEMP_SENS on fPort 3 decimal: /)
+        ]);
+        expect(checkFormatter(structured, ['TEMP_SENS'])[0]).toMatch(/^TEMP_SENS on fPort 1 structured: /);
+        expect(checkFormatter(decimal, ['TEMP_SENS'])).toEqual([
+            expect.stringMatching(/^TEMP_SENS on fPort 1 decimal: /),
+            expect.stringMatching(/^TEMP_SENS on fPort 1 structured decimal: /),
+            expect.stringMatching(/^TEMP_SENS on fPort 3 decimal: /)
+        ]);
+    });
+});
@@ -0,0 +1,163 @@
+/* This code is free software:
+ * you can redistribute it and/or modify it under the terms of a Creative
+ * Commons Attribution-NonCommercial 4.0 International License
+ * (http://creativecommons.org/licenses/by-nc/4.0/)
+ *
+ * Copyright (c) 2024 March by Klaasjan Wagenaar, Tristan Bosveld and Richard Kroesen
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { decodeUplink } = require('./decoder_cayenneLPP_extreme');
+const { parsePayload, annotatePayload, run } = require('./decoder_cli');
+
+/**
+ * @brief Runs the command line tool with captured output.
+ */
+function runCli(args, stdin) {
+    const output = { stdout: '', stderr: '' };
+    output.code = run(args, {
+        readStdin: () => stdin,
+        stdout: (text) => { output.stdout += text; },
+        stderr: (text) => { output.stderr += text; }
+    });
+    return output;
+}
+
+describe('Command line decoder', () => {
+
+    /* TEST #1 hex notations */
+    it.each([
+        '67 01 03 01 02 05 64 02',
+        '67,01,03,01,02,05,64,02',
+        '0x67, 0x01, 0x03, 0x01, 0x02, 0x05, 0x64, 0x02'
+    ])('parses the hex payload %s', (text) => {
+        expect(parsePayload(text, 1)).toEqual({ bytes: [103, 1, 3, 1, 2, 5, 100, 2], fPort: 1 });
+    });
+
+    /* TEST #2 base64 */
+    it('parses a base64 payload', () => {
+        expect(parsePayload('ZwEDAQ==', 1)).toEqual({ bytes: [103, 1, 3, 1], fPort: 1 });
+    });
+
+    /* TEST #3 TTN uplink webhook message */
+    it('parses a TTN uplink message with fPort and reception time', () => {
+        const message = {
+            end_device_ids: { device_id: 'node-1' },
+            received_at: '2024-03-20T12:00:00Z',
+            uplink_message: { f_port: 2, frm_payload: 'AwEQ' }
+        };
+
+        expect(parsePayload(JSON.stringify(message), 1)).toEqual({
+            bytes: [3, 1, 16],
+            fPort: 2,
+            recvTime: new Date('2024-03-20T12:00:00Z')
+        });
+    });
+
+    /* TEST #4 invalid input */
+    it('rejects text that is not a payload', () => {
+        expect(() => parsePayload('hello world', 1)).toThrow("Invalid payload: string is neither hex nor base64");
+        expect(() => parsePayload('{"uplink_message": {}}', 1)).toThrow(/frm_payload is missing/);
+        expect(() => parsePayload('{"uplink_message": {"frm_payload": "Zw*="}}', 1))
+            .toThrow("Invalid payload: string is not base64");
+    });
+
+    /* TEST #5 per byte annotation */
+    it('annotates every record like the README byte string overview', () => {
+        const annotation = annotatePayload({ fPort: 1, bytes: [0x67, 0x01, 0x03, 0x01, 0x02, 0x05, 0x64, 0x02] });
+
+        expect(annotation.split("\n")).toEqual([
+            "fPort 1, 8 bytes: 6701030102056402",
+            "",
+            "0x67, 0x01                      TEMP_SENS sensor type with channel 1",
+            "0x03, 0x01                      259 / 10 = 25.9 °C",
+            "0x02, 0x05                      ANL_IN sensor type with channel 5",
+            "0x64, 0x02                      612 / 100 = 6.12"
+        ]);
+    });
+
+    /* TEST #6 malformed payload */
+    it('annotates the bytes that are not decoded', () => {
+        const annotation = annotatePayload({ fPort: 1, bytes: [0x01, 0x02, 0x01, 0x04, 0x01, 0x64] });
+
+        expect(annotation.split("\n")).toEqual([
+            "fPort 1, 6 bytes: 010201040164",
+            "",
+            "0x01, 0x02                      DIG_OUT sensor type with channel 2",
+            "0x01                            1",
+            "0x04, 0x01, 0x64                not decoded: Unknown type: 4",
+            "",
+            "error: Unknown type: 4"
+        ]);
+    });
+
+    /* TEST #7 exit codes */
+    it('returns exit code 1 for decode errors and 2 for invalid input', () => {
+        const decoded = runCli(['--encoding', 'hex'], '6701030102056402\n');
+        const failed = runCli(['--fport', '1', '--encoding', 'hex'], '0401');
+        const invalid = runCli(['not-a-payload']);
+
+        expect(decoded.code).toBe(0);
+        expect(JSON.parse(decoded.stdout).data).toEqual({ temperature_1: 25.9, analog_5: 6.12 });
+        expect(failed.code).toBe(1);
+        expect(JSON.parse(failed.stdout).errors).toEqual(["Unknown type: 4"]);
+        expect(invalid.code).toBe(2);
+        expect(runCli(['--fport', 'x', '0401']).code).toBe(2);
+        expect(runCli(['0401']).code).toBe(2);
+        expect(runCli(['--encoding', 'utf8', '0401']).code).toBe(2);
+    });
+
+    /* TEST #8 webhook file */
+    it('reads a TTN uplink message from a file', () => {
+        const file = path.join(os.tmpdir(), 'decoder-cli-' + process.pid + '.json');
+        fs.writeFileSync(file, JSON.stringify({ uplink_message: { f_port: 1, frm_payload: 'ZwEDAQ==' } }));
+
+        try {
+            const result = runCli(['--annotate', file]);
+
+            expect(result.code).toBe(0);
+            expect(result.stdout).toContain("25.9 °C");
+        } finally {
+            fs.unlinkSync(file);
+        }
+    });
+
+    /* TEST #9 process exit code */
+    it('sets the process exit code when run with node', () => {
+        const result = spawnSync(process.execPath, [path.join(__dirname, 'decoder_cli.js'), '04 01'], { encoding: 'utf8' });
+
+        expect(result.status).toBe(1);
+        expect(JSON.parse(result.stdout).errors).toEqual(["Unknown type: 4"]);
+    });
+
+    /* TEST #10 device profile file */
+    it('applies a device profile JSON file', () => {
+        const file = path.join(os.tmpdir(), 'soil-node-' + process.pid + '.json');
+        fs.writeFileSync(file, JSON.stringify({
+            channels: { analog_5: { name: 'battery_v', calibration: { type: 'linear', gain: 2 } } }
+        }));
+
+        try {
+            const result = runCli(['--profile', file, '02 05 64 01']);
+
+            expect(result.code).toBe(0);
+            expect(JSON.parse(result.stdout).data).toEqual({ battery_v: 7.12 });
+            expect(runCli(['--profile', path.join(os.tmpdir(), 'missing-' + process.pid + '.json'), '02 05 64 01']).code)
+                .toBe(2);
+        } finally {
+            fs.unlinkSync(file);
+        }
+    });
+
+    /* TEST #11 hex digits only */
+    it('parses a payload of hex digits only with the given encoding, like decodeUplink', () => {
+        expect(parsePayload('6701030102056402', 1, 'hex')).toEqual({ bytes: [103, 1, 3, 1, 2, 5, 100, 2], fPort: 1 });
+        expect(parsePayload('AAED', 1, 'base64')).toEqual({ bytes: [0, 1, 3], fPort: 1 });
+        expect(() => parsePayload('AAED', 1)).toThrow("Invalid payload: AAED can be hex or base64, set the encoding");
+        expect(decodeUplink({ fPort: 1, bytes: 'AAED' }).errors)
+            .toEqual(["Invalid payload: AAED can be hex or base64, set the encoding"]);
+    });
+});
@@ -0,0 +1,128 @@
+/* This code is free software:
+ * you can redistribute it and/or modify it under the terms of a Creative
+ * Commons Attribution-NonCommercial 4.0 International License
+ * (http://creativecommons.org/licenses/by-nc/4.0/)
+ *
+ * Copyright (c) 2024 March by Klaasjan Wagenaar, Tristan Bosveld and Richard Kroesen
+ */
+
+const { decodeUplink } = require('./decoder_cayenneLPP_extreme');
+const { encodeUplink } = require('./encoder_cayenneLPP_extreme');
+const { createMemoryStore, deriveUplink } = require('./decoder_derived');
+
+/**
+ * @brief Encodes and decodes readings, as a device and the payload formatter would.
+ */
+function uplink(readings, options) {
+    return decodeUplink(Object.assign({ fPort: 1, bytes: encodeUplink(readings, { fPort: 1 }).bytes }, options));
+}
+
+describe('Derived metrics', () => {
+
+    /* TEST #1 metrics of a single uplink */
+    it('derives orientation, angular speed, dew point and pressure altitude', () => {
+        const result = deriveUplink(uplink({
+            accelerometer_9: { x: 0, y: 0.5, z: 0.866 },
+            gyroscope_4: { x: 3, y: 4, z: 12 },
+            temperature_1: 25,
+            humidity_1: 60,
+            humidity_5: 40,
+            barometer_2: 899.5
+        }));
+
+        expect(result.derived).toEqual({
+            orientation_9: { pitch: 0, roll: 30, tilt: 30 },
+            angular_speed_4: 13,
+            dewpoint_1: 16.7,
+            pressure_altitude_2: 993.2
+        });
+        expect(result.data.humidity_5).toBe(40);
+        expect(result.warnings).toEqual([]);
+    });
+
+    /* TEST #2 structured and decimal readings */
+    it('derives the same metrics from structured and decimal readings', () => {
+        const readings = { accelerometer_1: { x: -1, y: 0, z: 0 }, barometer_1: 1013.3 };
+        const expected = { orientation_1: { pitch: 90, roll: 0, tilt: 90 }, pressure_altitude_1: 96.7 };
+
+        expect(deriveUplink(uplink(readings, { output: 'structured' }), { seaLevelPressure: 1025 }).derived)
+            .toEqual(expected);
+        expect(deriveUplink(uplink(readings, { valueFormat: 'decimal' }), { seaLevelPressure: 1025 }).derived)
+            .toEqual(expected);
+    });
+
+    /* TEST #3 invalid readings */
+    it('warns about readings a metric can not be derived from', () => {
+        const result = deriveUplink(uplink({ accelerometer_1: { x: 0, y: 0, z: 0 }, temperature_2: 20, humidity_2: 0 }));
+
+        expect(result.derived).toEqual({});
+        expect(result.warnings).toEqual([
+            'Derivation of orientation_1 skipped: invalid accelerometer_1 {"x":0,"y":0,"z":0}',
+            'Derivation of dewpoint_2 skipped: invalid humidity_2 0'
+        ]);
+    });
+
+    /* TEST #4 deltas between uplinks */
+    it('derives deltas and rates between consecutive uplinks of a device', () => {
+        const store = createMemoryStore();
+        const derive = (deviceId, receivedAt, readings) => {
+            return deriveUplink(uplink(readings), { store: store, deviceId: deviceId, receivedAt: receivedAt });
+        };
+
+        expect(derive('node-1', '2024-03-20T12:00:00Z', { presence_2: 5 }).derived).toEqual({});
+        expect(derive('node-2', '2024-03-20T12:00:30Z', { presence_2: 40 }).derived).toEqual({});
+        expect(derive('__proto__', '2024-03-20T12:00:30Z', { presence_2: 1 }).derived).toEqual({});
+        expect(derive('__proto__', '2024-03-20T12:01:30Z', { presence_2: 3 }).derived)
+            .toEqual({ presence_2_delta: 2, presence_2_rate: 0.033333 });
+        expect(derive('node-1', '2024-03-20T12:01:00Z', { presence_2: 11, temperature_1: 20 }).derived)
+            .toEqual({ presence_2_delta: 6, presence_2_rate: 0.1 });
+        expect(derive('node-1', '2024-03-20T12:02:00Z', { temperature_1: 21 }).derived).toEqual({});
+        expect(derive('node-1', '2024-03-20T12:05:00Z', { presence_2: 17 }).derived)
+            .toEqual({ presence_2_delta: 6, presence_2_rate: 0.025 });
+        expect(store.get('node-1')).toEqual({
+            received_at: '2024-03-20T12:05:00.000Z',
+            readings: { presence_2: { value: 17, received_at: '2024-03-20T12:05:00.000Z' } }
+        });
+    });
+
+    /* TEST #5 counter resets and late uplinks */
+    it('derives signed deltas and warns for a reset counter or a late uplink', () => {
+        const store = createMemoryStore();
+        const options = (receivedAt) => {
+            return { store: store, deviceId: 'node-1', receivedAt: receivedAt, deltas: ['PRSNC_SENS', 'GEN_SENS'],
+                resets: ['GEN_SENS'] };
+        };
+
+        deriveUplink(uplink({ presence_2: 5, generic_1: 1000 }), options('2024-03-20T12:00:00Z'));
+        const reset = deriveUplink(uplink({ presence_2: 3, generic_1: 400 }), options('2024-03-20T12:10:00Z'));
+        const late = deriveUplink(uplink({ presence_2: 251 }), options('2024-03-20T12:05:00Z'));
+
+        expect(reset.derived).toEqual({ presence_2_delta: -2, presence_2_rate: -0.003333 });
+        expect(reset.warnings).toEqual(['Delta of generic_1 skipped: the value decreased from 1000 to 400']);
+        expect(late.derived).toEqual({});
+        expect(late.warnings).toEqual(['Deltas skipped: the uplink is older than the previous uplink of node-1']);
+    });
+
+    /* TEST #6 uplinks without time */
+    it('keeps the previous times for an uplink without time, so the next uplink gets its rate', () => {
+        const store = createMemoryStore();
+        const options = (receivedAt) => {
+            return { store: store, deviceId: 'node-1', receivedAt: receivedAt };
+        };
+
+        deriveUplink(uplink({ presence_2: 3 }), options('2024-03-20T12:00:00Z'));
+        const untimed = deriveUplink(uplink({ presence_2: 4 }), options(undefined));
+        const invalid = deriveUplink(uplink({ presence_2: 5 }), options('yesterday'));
+        const late = deriveUplink(uplink({ presence_2: 1 }), options('2024-03-20T11:59:00Z'));
+        const next = deriveUplink(uplink({ presence_2: 8 }), options('2024-03-20T12:01:00Z'));
+
+        expect(untimed.derived).toEqual({ presence_2_delta: 1 });
+        expect(invalid.derived).toEqual({ presence_2_delta: 1 });
+        expect(late.warnings).toEqual(['Deltas skipped: the uplink is older than the previous uplink of node-1']);
+        expect(next.derived).toEqual({ presence_2_delta: 3, presence_2_rate: 0.05 });
+        expect(store.get('node-1')).toEqual({
+            received_at: '2024-03-20T12:01:00.000Z',
+            readings: { presence_2: { value: 8, received_at: '2024-03-20T12:01:00.000Z' } }
+        });
+    });
+});
@@ -0,0 +1,61 @@
+/* This code is free software:
+ * you can redistribute it and/or modify it under the terms of a Creative
+ * Commons Attribution-NonCommercial 4.0 International License
+ * (http://creativecommons.org/licenses/by-nc/4.0/)
+ *
+ * Copyright (c) 2024 March by Klaasjan Wagenaar, Tristan Bosveld and Richard Kroesen
+ */
+
+const { Properties, createRandom, validPayload, anyPayload, check } = require('./decoder_fuzz');
+
+// Set FUZZ_SEED to explore other payloads, a failure reports the seed that repeats it.
+const SEED = Number(process.env.FUZZ_SEED || 20240301);
+const RUNS = Number(process.env.FUZZ_RUNS || 300);
+
+describe('Generated payloads', () => {
+
+    /* TEST #1 decoder properties */
+    it.each(Object.keys(Properties))('holds the %s property', (name) => {
+        const failure = check(Properties[name].generate, Properties[name].property, { seed: SEED, runs: RUNS });
+
+        // On failure the diff shows the shrunk reproduction, ready for samples.txt
+        expect(failure && failure.sample).toBeNull();
+    });
+
+    /* TEST #2 seeded generation */
+    it('generates the same payloads from the same seed', () => {
+        expect(anyPayload(createRandom(42))).toEqual(anyPayload(createRandom(42)));
+        expect(validPayload(createRandom(42))).toEqual(validPayload(createRandom(42)));
+        expect(validPayload(createRandom(42))).not.toEqual(validPayload(createRandom(43)));
+    });
+
+    /* TEST #3 shrinking records */
+    it('shrinks a failing payload of records to a minimal reproduction', () => {
+        const failure = check(validPayload, (testCase) => {
+            return testCase.records.some((record) => record.name === 'TEMP_SENS') ? "has a temperature" : null;
+        }, { seed: 7, runs: 200 });
+
+        expect(failure.testCase.records).toEqual([{ name: 'TEMP_SENS', channel: 0, value: 0 }]);
+        expect(failure.error).toBe("has a temperature");
+        expect(failure.sample).toBe([
+            "// FUZZ (seed " + failure.seed + "): has a temperature",
+            "// fPort: 1, trace: true, sensorTypes: ENERGY_48, COUNTER_64, OFFSET_64, POSITION_40",
+            "67 00 00 00",
+            "",
+            "\"decoded_payload\": {\n    \"temperature_0\": 0\n}"
+        ].join("\n"));
+    });
+
+    /* TEST #4 shrinking bytes */
+    it('shrinks failing bytes and options and reports exceptions', () => {
+        const failure = check(anyPayload, (testCase) => {
+            if (Array.isArray(testCase.input.bytes) && testCase.input.bytes.some((byte) => byte >= 0x80)) {
+                throw new Error("high byte");
+            }
+        }, { seed: 7 });
+
+        expect(failure.testCase.input).toEqual({ fPort: failure.testCase.input.fPort, bytes: [0x80] });
+        expect(failure.error).toBe("high byte");
+        expect(check(anyPayload, () => null, { seed: 7, runs: 50 })).toBeNull();
+    });
+});
@@ -0,0 +1,45 @@
+/* This code is free software:
+ * you can redistribute it and/or modify it under the terms of a Creative
+ * Commons Attribution-NonCommercial 4.0 International License
+ * (http://creativecommons.org/licenses/by-nc/4.0/)
+ *
+ * Copyright (c) 2024 March by Klaasjan Wagenaar, Tristan Bosveld and Richard Kroesen
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { uplinkInput, readProfile } = require('./decoder_input');
+const recordedUplink = require('./samples_webhook.json');
+
+describe('Tool input', () => {
+
+    /* TEST #1 webhook message */
+    it('converts a TTN uplink message into the input of decodeUplink', () => {
+        expect(uplinkInput(recordedUplink)).toEqual({
+            bytes: [0x67, 0x01, 0x03, 0x01, 0x02, 0x05, 0x64, 0x02],
+            fPort: 1,
+            recvTime: new Date('2024-03-20T12:00:00Z')
+        });
+        expect(() => uplinkInput({ uplink_message: { f_port: 1 } })).toThrow(/frm_payload is missing/);
+        expect(() => uplinkInput({ uplink_message: { f_port: 1, frm_payload: 'Zw*=' } }))
+            .toThrow("Invalid payload: string is not base64");
+    });
+
+    /* TEST #2 device profile file */
+    it('reads a device profile file with its id or file name', () => {
+        const file = path.join(os.tmpdir(), 'soil-node-' + process.pid + '.json');
+        const profile = { channels: { analog_5: { name: 'battery_v' } } };
+
+        try {
+            fs.writeFileSync(file, JSON.stringify(profile));
+            expect(readProfile(file)).toEqual({ id: 'soil-node-' + process.pid, profile: profile });
+            fs.writeFileSync(file, JSON.stringify(Object.assign({ id: 'soil' }, profile)));
+            expect(readProfile(file).id).toBe('soil');
+            fs.writeFileSync(file, JSON.stringify({ fPorts: [1] }));
+            expect(() => readProfile(file)).toThrow("Invalid device profile " + file + ": channels is missing");
+        } finally {
+            fs.unlinkSync(file);
+        }
+    });
+});
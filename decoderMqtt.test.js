@@ -0,0 +1,152 @@
+/* This code is free software:
+ * you can redistribute it and/or modify it under the terms of a Creative
+ * Commons Attribution-NonCommercial 4.0 International License
+ * (http://creativecommons.org/licenses/by-nc/4.0/)
+ *
+ * Copyright (c) 2024 March by Klaasjan Wagenaar, Tristan Bosveld and Richard Kroesen
+ */
+
+const { EventEmitter } = require('events');
+const { createBridge } = require('./decoder_mqtt');
+const recordedUplink = require('./samples_webhook.json');
+
+/**
+ * @brief A mock MQTT broker with retained messages and `+`/`#` wildcard subscriptions.
+ */
+function createBroker() {
+    const clients = [];
+    const retained = {};
+
+    const matches = (filter, topic) => {
+        const filterLevels = filter.split('/');
+        const topicLevels = topic.split('/');
+        for (let i = 0; i < filterLevels.length; i++) {
+            if (filterLevels[i] === '#') {
+                return true;
+            }
+            if (filterLevels[i] !== '+' && filterLevels[i] !== topicLevels[i]) {
+                return false;
+            }
+        }
+        return filterLevels.length === topicLevels.length;
+    };
+
+    return {
+        retained: retained,
+        connect: () => {
+            const client = new EventEmitter();
+            client.subscriptions = [];
+            client.subscribe = (filter) => { client.subscriptions.push(filter); };
+            client.publish = (topic, message, options) => {
+                if (options && options.retain) {
+                    retained[topic] = message;
+                }
+                for (const other of clients) {
+                    if (other.subscriptions.some((filter) => matches(filter, topic))) {
+                        other.emit('message', topic, Buffer.from(message));
+                    }
+                }
+            };
+            clients.push(client);
+            return client;
+        }
+    };
+}
+
+/**
+ * @brief Builds a TTN v3 uplink message on fPort 1 from the recorded webhook body.
+ */
+function uplink(deviceId, bytes) {
+    const message = JSON.parse(JSON.stringify(recordedUplink));
+    message.end_device_ids.device_id = deviceId;
+    message.uplink_message.frm_payload = Buffer.from(bytes).toString('base64');
+    return JSON.stringify(message);
+}
+
+describe('MQTT bridge', () => {
+
+    /* TEST #1 topic per reading */
+    it('republishes every decoded reading retained on its own topic', () => {
+        const broker = createBroker();
+        const bridgeClient = broker.connect();
+        const ttn = broker.connect();
+        createBridge(bridgeClient, { applicationId: 'cayenne-test@ttn' });
+
+        ttn.publish('v3/cayenne-test@ttn/devices/node-1/up',
+            uplink('node-1', [0x67, 0x01, 0x03, 0x01, 0x71, 0x09, 0x2E, 0xFB, 0x02, 0x00, 0xD2, 0x04]));
+
+        expect(bridgeClient.subscriptions).toEqual(['v3/cayenne-test@ttn/devices/+/up']);
+        expect(JSON.parse(broker.retained['cayenne/node-1/temperature/1'])).toEqual({
+            value: 25.9, unit: '°C', sensor: 'TEMP_SENS', received_at: '2024-03-20T12:00:00Z'
+        });
+        expect(JSON.parse(broker.retained['cayenne/node-1/accelerometer/9']).value).toEqual({ x: -1.234, y: 0.002, z: 1.234 });
+    });
+
+    /* TEST #2 location keys and other topics */
+    it('skips the location keys and ignores other topics', () => {
+        const broker = createBroker();
+        const bridge = createBridge(broker.connect(), { applicationId: 'cayenne-test@ttn', topicPrefix: 'lpp' });
+
+        const published = bridge.handleMessage('v3/cayenne-test@ttn/devices/node-2/up', Buffer.from(uplink('node-2', [
+            0x88, 0x06, 0x02, 0xDC, 0x07, 0x00, 0xFE, 0x04, 0x00, 0x00, 0xB8, 0x0B, 0x00, 0x00
+        ])));
+
+        expect(published).toEqual(['lpp/node-2/gps/6']);
+        expect(bridge.handleMessage('v3/cayenne-test@ttn/devices/node-2/join', Buffer.from('{}'))).toEqual([]);
+    });
+
+    /* TEST #3 Home Assistant discovery */
+    it('publishes Home Assistant discovery configs once per reading', () => {
+        const broker = createBroker();
+        const bridge = createBridge(broker.connect(), { applicationId: 'cayenne-test@ttn', homeAssistant: true });
+        const message = Buffer.from(uplink('node-1', [0x68, 0x02, 0x8A, 0x02, 0x71, 0x09, 0x2E, 0xFB, 0x02, 0x00, 0xD2, 0x04]));
+
+        const first = bridge.handleMessage('v3/cayenne-test@ttn/devices/node-1/up', message);
+        const second = bridge.handleMessage('v3/cayenne-test@ttn/devices/node-1/up', message);
+
+        expect(first).toHaveLength(6);
+        expect(second).toEqual(['cayenne/node-1/humidity/2', 'cayenne/node-1/accelerometer/9']);
+        expect(JSON.parse(broker.retained['homeassistant/sensor/node-1/humidity_2/config'])).toEqual({
+            object_id: 'humidity_2',
+            unique_id: 'node-1_humidity_2',
+            name: 'humidity 2',
+            state_topic: 'cayenne/node-1/humidity/2',
+            value_template: '{{ value_json.value }}',
+            state_class: 'measurement',
+            device_class: 'humidity',
+            unit_of_measurement: '%',
+            device: { identifiers: ['node-1'], name: 'node-1', model: 'Cayenne LPP' }
+        });
+        expect(JSON.parse(broker.retained['homeassistant/sensor/node-1/accelerometer_9_z/config']))
+            .toMatchObject({ value_template: '{{ value_json.value.z }}', unit_of_measurement: 'g' });
+    });
+
+    /* TEST #4 decode errors */
+    it('reports uplinks that can not be decoded', () => {
+        const errors = [];
+        const broker = createBroker();
+        const bridge = createBridge(broker.connect(), {
+            applicationId: 'cayenne-test@ttn',
+            onError: (error, topic) => errors.push(topic + ": " + error)
+        });
+
+        bridge.handleMessage('v3/cayenne-test@ttn/devices/node-3/up', Buffer.from(uplink('node-3', [0x04, 0x01])));
+        bridge.handleMessage('v3/cayenne-test@ttn/devices/node-3/up', Buffer.from('not json'));
+
+        expect(errors[0]).toBe("v3/cayenne-test@ttn/devices/node-3/up: Unknown type: 4");
+        expect(errors).toHaveLength(2);
+        expect(broker.retained).toEqual({});
+    });
+
+    /* TEST #5 invalid reception time */
+    it('publishes history readings of an uplink with an invalid reception time', () => {
+        const broker = createBroker();
+        const bridge = createBridge(broker.connect(), { applicationId: 'cayenne-test@ttn' });
+        const message = JSON.parse(uplink('node-4', [0x67, 0x01, 0x03, 0x01]));
+        message.received_at = 'not-a-date';
+        message.uplink_message.f_port = 3;
+
+        expect(bridge.handleMessage('v3/cayenne-test@ttn/devices/node-4/up', Buffer.from(JSON.stringify(message))))
+            .toEqual(['cayenne/node-4/temperature/1']);
+    });
+});
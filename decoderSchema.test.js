@@ -0,0 +1,176 @@
+/* This code is free software:
+ * you can redistribute it and/or modify it under the terms of a Creative
+ * Commons Attribution-NonCommercial 4.0 International License
+ * (http://creativecommons.org/licenses/by-nc/4.0/)
+ *
+ * Copyright (c) 2024 March by Klaasjan Wagenaar, Tristan Bosveld and Richard Kroesen
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { decodeUplink, SensorTypes } = require('./decoder_cayenneLPP_extreme');
+const { encodeUplink } = require('./encoder_cayenneLPP_extreme');
+const { buildSchema } = require('./decoder_schema');
+
+/**
+ * @brief Validates a value against the subset of JSON Schema that `buildSchema` generates.
+ *
+ * @return An array with the path of every value that does not match, empty when the value is valid.
+ */
+function validate(schema, value, root, at) {
+    root = root || schema;
+    at = at || '';
+    if (schema.$ref) {
+        return validate(root.$defs[schema.$ref.replace('#/$defs/', '')], value, root, at);
+    }
+    if (schema.anyOf) {
+        return schema.anyOf.some((option) => validate(option, value, root, at).length === 0) ? [] : [at + ': anyOf'];
+    }
+
+    const types = [].concat(schema.type || []);
+    const typeOf = (item) => (item === null) ? 'null' : Array.isArray(item) ? 'array' : typeof item;
+    if (types.length > 0 && !types.some((type) => type === typeOf(value) || (type === 'integer' && Number.isInteger(value)))) {
+        return [at + ': type ' + typeOf(value)];
+    }
+    if ('const' in schema && value !== schema.const) {
+        return [at + ': const'];
+    }
+    if ((schema.minimum !== undefined && value < schema.minimum) || (schema.maximum !== undefined && value > schema.maximum)) {
+        return [at + ': range ' + value];
+    }
+
+    let problems = [];
+    if (typeOf(value) === 'object') {
+        for (const name of schema.required || []) {
+            if (!(name in value)) {
+                problems.push(at + '/' + name + ': required');
+            }
+        }
+        for (const name in value) {
+            const pattern = Object.keys(schema.patternProperties || {}).find((key) => new RegExp(key).test(name));
+            const propertySchema = (schema.properties || {})[name] || (pattern && schema.patternProperties[pattern]);
+            if (propertySchema) {
+                problems = problems.concat(validate(propertySchema, value[name], root, at + '/' + name));
+            } else if (schema.additionalProperties === false) {
+                problems.push(at + '/' + name + ': not allowed');
+            }
+        }
+    }
+    if (typeOf(value) === 'array') {
+        if (value.length < (schema.minItems || 0) || value.length > (schema.maxItems || Infinity)) {
+            problems.push(at + ': items ' + value.length);
+        }
+        value.forEach((item, i) => {
+            const itemSchema = (schema.prefixItems && schema.prefixItems[i]) || schema.items;
+            if (itemSchema) {
+                problems = problems.concat(validate(itemSchema, item, root, at + '/' + i));
+            }
+        });
+    }
+    return problems;
+}
+
+const readings = {
+    digital_5: 1,
+    analog_1: -0.12,
+    illumination_1: 100,
+    temperature_3: 25.9,
+    humidity_1: 65.5,
+    accelerometer_9: { x: -1.234, y: 0.002, z: 1.234 },
+    barometer_1: 1013.2,
+    gyroscope_1: { x: 1.5, y: -2.25, z: 0 },
+    gps_6: { latitude: 51.5074, longitude: 5.9107, altitude: 30.5 },
+    colour_4: { r: 255, g: 128, b: 0 },
+    switch_2: 1
+};
+
+describe('JSON Schema of decoded uplinks', () => {
+
+    /* TEST #1 schema file */
+    it('matches the generated schema file', () => {
+        const file = path.join(__dirname, 'decoder_cayenneLPP_extreme.schema.json');
+
+        expect(JSON.parse(fs.readFileSync(file, 'utf8'))).toEqual(buildSchema());
+    });
+
+    /* TEST #2 valid results */
+    it.each([
+        ['flat', {}],
+        ['structured', { output: 'structured' }],
+        ['geojson', { gpsFormat: 'geojson' }],
+        ['decimal', { valueFormat: 'decimal' }],
+        ['structured decimal GeoJSON', { output: 'structured', gpsFormat: 'geojson', valueFormat: 'decimal' }]
+    ])('accepts %s decoded uplinks', (name, options) => {
+        const bytes = encodeUplink(readings).bytes;
+        const result = decodeUplink({ fPort: 1, bytes: bytes, ...options });
+
+        expect(result.errors).toEqual([]);
+        expect(validate(buildSchema(options), result)).toEqual([]);
+    });
+
+    /* TEST #3 history and failed uplinks */
+    it('accepts history payloads and uplinks with errors', () => {
+        const history = decodeUplink({ fPort: 3, bytes: [SensorTypes.TEMP_SENS.type, 1, 0xFA, 0x00] });
+        const failed = decodeUplink({ fPort: 9, bytes: [0x04, 0x01] });
+
+        expect(validate(buildSchema(), history)).toEqual([]);
+        expect(validate(buildSchema(), failed)).toEqual([]);
+    });
+
+    /* TEST #4 invalid data */
+    it('rejects values of the wrong shape, unknown keys and values out of range', () => {
+        const result = (data) => ({ decoder_version: 1, data: data, warnings: [], errors: [] });
+        const schema = buildSchema();
+
+        expect(validate(schema, result({ accelerometer_1: 1.5 }))).toEqual(['/data/accelerometer_1: type number']);
+        expect(validate(schema, result({ accelerometer_1: { x: 1, y: 2 } }))).toEqual(['/data/accelerometer_1/z: required']);
+        expect(validate(schema, result({ digital_1: 0.5 }))).toEqual(['/data/digital_1: type number']);
+        expect(validate(schema, result({ temperature_1: 4000 }))).toEqual(['/data/temperature_1: range 4000']);
+        expect(validate(schema, result({ pressure_1: 1 }))).toEqual(['/data/pressure_1: not allowed']);
+    });
+
+    /* TEST #5 schema per sensor type */
+    it('derives every value schema from the sensor types', () => {
+        const schema = buildSchema({
+            sensorTypes: { LEVEL_SENS: { type: 201, key: 'level', unit: 'cm', precision: 10, signed: false, bytes: 2 } }
+        });
+
+        expect(schema.$defs.level).toEqual({
+            description: 'LEVEL_SENS (type 201), cm', type: 'number', minimum: 0, maximum: 6553.5
+        });
+        expect(schema.$defs.digital.description).toBe('DIG_IN (type 0); DIG_OUT (type 1)');
+        expect(schema.$defs.data.patternProperties['^level_[0-9]{1,3}$']).toEqual({ $ref: '#/$defs/level' });
+        expect(buildSchema({
+            sensorTypes: { WIDE_SENS: { type: 203, key: 'wide', precision: 1000, signed: true, bytes: 8 } },
+            valueFormat: 'decimal'
+        }).$defs.wide.properties.raw.anyOf[1]).toEqual({ type: 'string', pattern: '^-?[0-9]+$' });
+    });
+
+    /* TEST #6 TypeScript declarations */
+    it('declares a TypeScript type for every sensor type', () => {
+        const declarations = fs.readFileSync(path.join(__dirname, 'decoder_cayenneLPP_extreme.d.ts'), 'utf8');
+
+        for (const name in SensorTypes) {
+            expect(declarations).toContain("'" + name + "'");
+            expect(declarations).toContain('`' + SensorTypes[name].key + '_${number}`');
+        }
+    });
+
+    /* TEST #7 device profile */
+    it('accepts the renamed readings of a device profile', () => {
+        const profile = {
+            fPorts: [1],
+            channels: {
+                analog_1: { name: 'battery_v', calibration: { type: 'linear', gain: 2 } },
+                temperature_3: { name: 'soil_temperature' }
+            }
+        };
+        const result = decodeUplink({ fPort: 1, bytes: encodeUplink(readings).bytes, profiles: { soil: profile } });
+        const schema = buildSchema({ profile: profile });
+
+        expect(result.data).toHaveProperty('battery_v', -0.24);
+        expect(validate(schema, result)).toEqual([]);
+        expect(validate(buildSchema(), result)).toEqual(['/data/battery_v: not allowed', '/data/soil_temperature: not allowed']);
+        expect(schema.$defs.data.properties.soil_temperature).toEqual({ description: 'temperature_3', $ref: '#/$defs/temperature' });
+    });
+});
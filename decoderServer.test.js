@@ -0,0 +1,140 @@
+/* This code is free software:
+ * you can redistribute it and/or modify it under the terms of a Creative
+ * Commons Attribution-NonCommercial 4.0 International License
+ * (http://creativecommons.org/licenses/by-nc/4.0/)
+ *
+ * Copyright (c) 2024 March by Klaasjan Wagenaar, Tristan Bosveld and Richard Kroesen
+ */
+
+const { createServer } = require('./decoder_server');
+const recordedUplink = require('./samples_webhook.json');
+
+/**
+ * @brief Builds the body of a TTN v3 uplink webhook from the recorded webhook body.
+ */
+function webhookBody(deviceId, receivedAt, fPort, frmPayload) {
+    const message = JSON.parse(JSON.stringify(recordedUplink));
+    message.end_device_ids.device_id = deviceId;
+    message.received_at = message.uplink_message.received_at = receivedAt;
+    message.uplink_message.f_port = fPort;
+    message.uplink_message.frm_payload = frmPayload;
+    return JSON.stringify(message);
+}
+
+describe('Webhook server', () => {
+    let server;
+    let baseUrl;
+
+    beforeEach((done) => {
+        server = createServer({ historyLimit: 2 });
+        server.listen(0, '127.0.0.1', () => {
+            baseUrl = 'http://127.0.0.1:' + server.address().port;
+            done();
+        });
+    });
+
+    afterEach((done) => {
+        server.close(done);
+    });
+
+    const post = (body) => fetch(baseUrl + '/uplink', { method: 'POST', body: body });
+
+    /* TEST #1 decoded webhook */
+    it('decodes a posted uplink webhook', async () => {
+        const response = await post(webhookBody('node-1', '2024-03-20T12:00:00Z', 1, 'ZwEDAQIFZAI='));
+
+        expect(response.status).toBe(200);
+        expect(await response.json()).toEqual({
+            device_id: 'node-1',
+            received_at: '2024-03-20T12:00:00Z',
+            f_port: 1,
+            data: { temperature_1: 25.9, analog_5: 6.12 },
+            warnings: [],
+            errors: []
+        });
+    });
+
+    /* TEST #2 latest readings per device and channel */
+    it('serves the latest value of every key of a device', async () => {
+        await post(webhookBody('node-1', '2024-03-20T12:00:00Z', 1, 'ZwEDAQIFZAI='));
+        await post(webhookBody('node-1', '2024-03-20T12:05:00Z', 1, 'ZwEEAQ=='));
+        await post(webhookBody('node-2', '2024-03-20T12:06:00Z', 1, 'ZwH6AA=='));
+
+        const response = await fetch(baseUrl + '/devices/node-1/latest');
+
+        expect(response.status).toBe(200);
+        expect(await response.json()).toEqual({
+            device_id: 'node-1',
+            readings: {
+                temperature_1: { value: 26, received_at: '2024-03-20T12:05:00Z' },
+                analog_5: { value: 6.12, received_at: '2024-03-20T12:00:00Z' }
+            }
+        });
+    });
+
+    /* TEST #3 history */
+    it('serves the history of a device up to the history limit', async () => {
+        await post(webhookBody('node-1', '2024-03-20T12:00:00Z', 1, 'ZwEDAQIFZAI='));
+        await post(webhookBody('node-1', '2024-03-20T12:05:00Z', 1, 'ZwEEAQ=='));
+        await post(webhookBody('node-1', '2024-03-20T12:10:00Z', 1, 'BAE='));
+
+        const body = await (await fetch(baseUrl + '/devices/node-1/history')).json();
+
+        expect(body.uplinks.map((uplink) => uplink.received_at)).toEqual(['2024-03-20T12:05:00Z', '2024-03-20T12:10:00Z']);
+        expect(body.uplinks[1].errors).toEqual(["Unknown type: 4"]);
+    });
+
+    /* TEST #4 invalid requests */
+    it('rejects bodies that are not uplinks and unknown devices or paths', async () => {
+        const invalid = await post('{ "end_device_ids": { "device_id": "node-1" } }');
+        const unknown = await fetch(baseUrl + '/devices/node-9/latest');
+
+        expect(invalid.status).toBe(400);
+        expect(await invalid.json()).toEqual({
+            error: "JSON is not a TTN uplink message: uplink_message.frm_payload is missing"
+        });
+        expect((await post('not json')).status).toBe(400);
+        expect(unknown.status).toBe(404);
+        expect(await unknown.json()).toEqual({ error: "Unknown device: node-9" });
+        expect((await fetch(baseUrl + '/devices')).status).toBe(404);
+        expect((await fetch(baseUrl + '/uplink')).status).toBe(405);
+    });
+
+    /* TEST #5 device ids of the prototype */
+    it('stores a device with the id __proto__ like any other device', async () => {
+        const response = await post(webhookBody('__proto__', '2024-03-20T12:00:00Z', 1, 'ZwEDAQ=='));
+        const latest = await fetch(baseUrl + '/devices/__proto__/latest');
+
+        expect(response.status).toBe(200);
+        expect(await latest.json()).toEqual({
+            device_id: '__proto__',
+            readings: { temperature_1: { value: 25.9, received_at: '2024-03-20T12:00:00Z' } }
+        });
+        expect((await fetch(baseUrl + '/devices/constructor/latest')).status).toBe(404);
+    });
+
+    /* TEST #6 late webhooks and malformed device ids */
+    it('keeps the newest reading for late webhooks and rejects malformed device ids', async () => {
+        await post(webhookBody('node-1', '2024-03-20T12:05:00Z', 1, 'ZwEEAQ=='));
+        await post(webhookBody('node-1', '2024-03-20T12:00:00Z', 1, 'ZwEDAQIFZAI='));
+
+        const latest = await (await fetch(baseUrl + '/devices/node-1/latest')).json();
+        const malformed = await fetch(baseUrl + '/devices/%E0%A4%A/latest');
+
+        expect(latest.readings).toEqual({
+            temperature_1: { value: 26, received_at: '2024-03-20T12:05:00Z' },
+            analog_5: { value: 6.12, received_at: '2024-03-20T12:00:00Z' }
+        });
+        expect(malformed.status).toBe(400);
+        expect(await malformed.json()).toEqual({ error: "Invalid device id: %E0%A4%A" });
+    });
+
+    /* TEST #7 invalid reception time */
+    it('decodes a history uplink with an invalid reception time', async () => {
+        const response = await post(webhookBody('node-1', 'not-a-date', 3, 'ZwEDAQ=='));
+
+        expect(response.status).toBe(200);
+        expect((await response.json()).data.temperature_1).toBe(25.9);
+        expect((await fetch(baseUrl + '/devices/node-1/latest')).status).toBe(200);
+    });
+});
@@ -0,0 +1,329 @@
+#!/usr/bin/env node
+/* This code is free software:
+ * you can redistribute it and/or modify it under the terms of a Creative
+ * Commons Attribution-NonCommercial 4.0 International License
+ * (http://creativecommons.org/licenses/by-nc/4.0/)
+ *
+ * Copyright (c) 2024 March by Klaasjan Wagenaar, Tristan Bosveld and Richard Kroesen
+ */
+
+const fs = require('fs');
+const readline = require('readline');
+const { decodeUplink } = require('./decoder_cayenneLPP_extreme');
+const { uplinkInput } = require('./decoder_input');
+
+const USAGE = [
+    "Usage: node decoder_batch.js [options] [export file]",
+    "",
+    "Decodes every uplink of a TTN Storage Integration export, given as NDJSON (one message or",
+    "{ \"result\": message } per line) or as a JSON array. Without file the export is read from stdin.",
+    "",
+    "Options:",
+    "  --format <csv|ndjson>   output format (default csv)",
+    "  --output <file>         write the output to a file instead of stdout",
+    "  --help                  print this help",
+    "",
+    "CSV output keeps all rows in memory until the end of the export, NDJSON output is streamed.",
+    "A summary of the messages that failed to decode is printed to stderr. The exit code is 1 when",
+    "a message failed and 2 for invalid arguments or when the export can not be read or the output",
+    "can not be written."
+].join("\n");
+
+/**
+ * @brief The columns of every CSV row before the decoded keys.
+ */
+const MessageColumns = ['received_at', 'device_id', 'dev_eui', 'f_port'];
+
+/**
+ * @brief Decodes every uplink message of an export stream.
+ *
+ * The stream is read line by line, so large NDJSON exports are not held in memory by the decoding; the
+ * CSV writer does keep its rows, see `createCsvWriter`. A line may hold the message itself or the
+ * `{ "result": message }` wrapper of the Storage Integration API. An export of which the first line is `[`
+ * or a bare `{` is one JSON document instead, an array of messages or a single pretty printed message, and
+ * is parsed as a whole. Any other line that is not valid JSON is a failed message. Messages that can not be
+ * read or that decode with errors are collected in the summary and do not stop the run.
+ *
+ * @param stream A readable stream with the export.
+ * @param onMessage The function called for every decoded message with an object with its `message`
+ *                  number (counting from 1 in export order), `received_at`, `device_id`, `dev_eui`,
+ *                  `f_port` and the `result` of `decodeUplink`.
+ * @return A promise of the summary: `{ messages, decoded, failed, errors }`, where `errors` has an
+ *         object `{ message, device_id, received_at, errors }` for every message that failed.
+ */
+async function decodeExport(stream, onMessage) {
+    let summary = { messages: 0, decoded: 0, failed: 0, errors: [] };
+    let lines = readline.createInterface({ input: stream, crlfDelay: Infinity });
+    let documentText = null;
+
+    for await (let line of lines) {
+        let text = line.trim();
+        if (documentText !== null) {
+            documentText += line + "\n";
+            continue;
+        }
+        if (text === '') {
+            continue;
+        }
+        if (summary.messages === 0 && (text.charAt(0) === '[' || text === '{')) {
+            documentText = line + "\n";
+            continue;
+        }
+        let message;
+        try {
+            message = JSON.parse(text);
+        } catch (err) {
+            message = err;
+        }
+        decodeMessage(message, summary, onMessage);
+    }
+
+    if (documentText !== null) {
+        let document;
+        try {
+            document = JSON.parse(documentText);
+        } catch (err) {
+            document = [err];
+        }
+        for (let message of Array.isArray(document) ? document : [document]) {
+            decodeMessage(message, summary, onMessage);
+        }
+    }
+    return summary;
+}
+
+/**
+ * @brief Decodes a single message of an export and adds it to the summary.
+ *
+ * @param message The parsed message, or the `Error` of a line that is not valid JSON.
+ * @param summary The summary of the run, see `decodeExport`.
+ * @param onMessage The function called with the decoded message, see `decodeExport`.
+ */
+function decodeMessage(message, summary, onMessage) {
+    summary.messages++;
+    if (message && message.result) {
+        message = message.result;
+    }
+
+    let ids = (message && message.end_device_ids) || {};
+    let entry = {
+        message: summary.messages,
+        received_at: (message && message.received_at) || null,
+        device_id: ids.device_id || null,
+        dev_eui: ids.dev_eui || null,
+        f_port: null
+    };
+    let errors;
+
+    if (message instanceof Error) {
+        errors = ["Invalid JSON: " + message.message];
+    } else {
+        try {
+            let input = uplinkInput(message);
+            entry.f_port = input.fPort;
+            entry.result = decodeUplink(input);
+            errors = entry.result.errors;
+            onMessage(entry);
+        } catch (err) {
+            errors = [err.message];
+        }
+    }
+
+    if (errors.length > 0) {
+        summary.failed++;
+        summary.errors.push({ message: entry.message, device_id: entry.device_id, received_at: entry.received_at,
+            errors: errors });
+    } else {
+        summary.decoded++;
+    }
+}
+
+/**
+ * @brief Creates a writer of decoded messages as NDJSON, one line per message.
+ *
+ * @param write The function called with the output text.
+ * @return An object with the functions `write(entry)`, for a message as passed to the `onMessage`
+ *         function of `decodeExport`, and `end()`.
+ */
+function createNdjsonWriter(write) {
+    return {
+        write: function (entry) {
+            write(JSON.stringify({
+                received_at: entry.received_at,
+                device_id: entry.device_id,
+                dev_eui: entry.dev_eui,
+                f_port: entry.f_port,
+                data: entry.result.data,
+                warnings: entry.result.warnings,
+                errors: entry.result.errors
+            }) + "\n");
+        },
+        end: function () {}
+    };
+}
+
+/**
+ * @brief Creates a writer of decoded messages as a wide CSV table.
+ *
+ * Every decoded key gets its own column, the fields of a sensor type with fields are split into
+ * `<key>.<field>` columns, e.g. `accelerometer_9.x`. Arrays, like the samples of a history payload, are
+ * written as JSON. As the columns are only known after the last message, the rows of the whole export are
+ * kept in memory until `end()`; use the NDJSON writer for exports that do not fit in memory. The last
+ * column holds the errors of a message.
+ *
+ * @param write The function called with the output text.
+ * @return An object with the functions `write(entry)`, for a message as passed to the `onMessage`
+ *         function of `decodeExport`, and `end()`, which writes the table.
+ */
+function createCsvWriter(write) {
+    let columns = [];
+    let rows = [];
+
+    return {
+        write: function (entry) {
+            let row = {};
+            for (let column of MessageColumns) {
+                row[column] = entry[column];
+            }
+            flatten(entry.result.data, '', row);
+            for (let column in row) {
+                if (MessageColumns.indexOf(column) === -1 && columns.indexOf(column) === -1) {
+                    columns.push(column);
+                }
+            }
+            row.errors = entry.result.errors.join("; ");
+            rows.push(row);
+        },
+        end: function () {
+            let header = MessageColumns.concat(columns, ['errors']);
+            write(header.map(csvField).join(",") + "\n");
+            for (let row of rows) {
+                write(header.map(function (column) { return csvField(row[column]); }).join(",") + "\n");
+            }
+        }
+    };
+}
+
+/**
+ * @brief Adds the values of an object to a CSV row, with the path of nested values as column name.
+ */
+function flatten(value, prefix, row) {
+    for (let key in value) {
+        let item = value[key];
+        if (item !== null && typeof item === 'object' && !Array.isArray(item)) {
+            flatten(item, prefix + key + '.', row);
+        } else {
+            row[prefix + key] = Array.isArray(item) ? JSON.stringify(item) : item;
+        }
+    }
+}
+
+/**
+ * @brief Formats a value as CSV field, quoted when it contains a comma, quote or line break.
+ */
+function csvField(value) {
+    let text = (value === undefined || value === null) ? '' : String(value);
+    return /[",\r\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+}
+
+/**
+ * @brief Formats the summary of a run as text.
+ *
+ * @param summary The summary returned by `decodeExport`.
+ * @return One line with the counts, followed by a line per error of the failed messages.
+ */
+function formatSummary(summary) {
+    let lines = ["Decoded " + summary.decoded + " of " + summary.messages + " messages, " + summary.failed + " failed"];
+    for (let failure of summary.errors) {
+        for (let error of failure.errors) {
+            lines.push("message " + failure.message + " (" + (failure.device_id || 'unknown device') + ", "
+                + (failure.received_at || 'unknown time') + "): " + error);
+        }
+    }
+    return lines.join("\n");
+}
+
+/**
+ * @brief Runs the batch decoder.
+ *
+ * @param args The command line arguments, without the node executable and script.
+ * An error of the export or output stream, e.g. an export that is a directory or an output file in a
+ * directory that does not exist, stops the run with a message on stderr.
+ *
+ * @param args The command line arguments, without the node executable and script.
+ * @param io An object with the `stdin` stream and the functions `stdout(text)` and `stderr(text)`.
+ * @return A promise of the exit code: 0 on success, 1 when a message failed, 2 for invalid arguments or
+ *         when the export can not be read or the output can not be written.
+ */
+async function run(args, io) {
+    let format = 'csv';
+    let output = null;
+    let source = null;
+
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--help') {
+            io.stdout(USAGE + "\n");
+            return 0;
+        } else if (args[i] === '--format') {
+            format = args[++i];
+            if (format !== 'csv' && format !== 'ndjson') {
+                io.stderr("Output format not supported: " + format + "\n");
+                return 2;
+            }
+        } else if (args[i] === '--output' && i + 1 < args.length) {
+            output = args[++i];
+        } else if (args[i].indexOf('--') === 0 || source !== null) {
+            io.stderr("Unknown argument: " + args[i] + "\n" + USAGE + "\n");
+            return 2;
+        } else {
+            source = args[i];
+        }
+    }
+
+    if (source !== null && !fs.existsSync(source)) {
+        io.stderr("File not found: " + source + "\n");
+        return 2;
+    }
+
+    let stream = (source === null) ? io.stdin : fs.createReadStream(source);
+    let file = (output === null) ? null : fs.createWriteStream(output);
+    let write = (file === null) ? io.stdout : function (text) { file.write(text); };
+    let writer = (format === 'csv') ? createCsvWriter(write) : createNdjsonWriter(write);
+    let failed = new Promise(function (resolve, reject) {
+        stream.on('error', reject);
+        if (file !== null) {
+            file.on('error', reject);
+        }
+    });
+
+    try {
+        let summary = await Promise.race([decodeExport(stream, writer.write), failed]);
+        writer.end();
+        if (file !== null) {
+            await Promise.race([new Promise(function (resolve) { file.end(resolve); }), failed]);
+        }
+        io.stderr(formatSummary(summary) + "\n");
+        return summary.failed > 0 ? 1 : 0;
+    } catch (err) {
+        if (source !== null) {
+            stream.destroy();
+        }
+        io.stderr("Error: " + err.message + "\n");
+        return 2;
+    }
+}
+
+if (require.main === module) {
+    run(process.argv.slice(2), {
+        stdin: process.stdin,
+        stdout: function (text) { process.stdout.write(text); },
+        stderr: function (text) { process.stderr.write(text); }
+    }).then(function (code) {
+        process.exitCode = code;
+    }).catch(function (err) {
+        process.stderr.write("Error: " + err.message + "\n");
+        process.exitCode = 2;
+    });
+}
+
+module.exports = { decodeExport, createCsvWriter, createNdjsonWriter, formatSummary, run };
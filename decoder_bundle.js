@@ -0,0 +1,373 @@
+#!/usr/bin/env node
+/* This code is free software:
+ * you can redistribute it and/or modify it under the terms of a Creative
+ * Commons Attribution-NonCommercial 4.0 International License
+ * (http://creativecommons.org/licenses/by-nc/4.0/)
+ *
+ * Copyright (c) 2024 March by Klaasjan Wagenaar, Tristan Bosveld and Richard Kroesen
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const crypto = require('crypto');
+const decoder = require('./decoder_cayenneLPP_extreme');
+const { readProfile } = require('./decoder_input');
+
+const DecoderFile = path.join(__dirname, 'decoder_cayenneLPP_extreme.js');
+
+const USAGE = [
+    "Usage: node decoder_bundle.js [options]",
+    "",
+    "Generates a payload formatter script for The Things Stack from decoder_cayenneLPP_extreme.js.",
+    "",
+    "Options:",
+    "  --types <names>   comma separated sensor types to enable, e.g. TEMP_SENS,HUM_SENS (default all)",
+    "  --profile <file>  embed the device profile JSON file, can be repeated",
+    "  --output <file>   write the script, and a Jest check of it named <file>.test.js, instead of",
+    "                    printing the script",
+    "  --help            print this help"
+].join("\n");
+
+/**
+ * @brief Generates a self-contained payload formatter script from the decoder.
+ *
+ * The payload formatter editor of The Things Stack runs a plain script: `module.exports` and `require` are
+ * not available and the script is limited to 40 KB. The generated script is the decoder with
+ * - the `module.exports` line removed, so `decodeUplink`, `normalizeUplink`, `encodeDownlink` and
+ *   `decodeDownlink` are top-level functions of the script,
+ * - the tables `SensorTypes`, `CommandTypes`, `PayloadLayouts` and `NormalizedPayload` written from the
+ *   tables of the loaded decoder module with only the enabled sensor types, so other types are reported as
+ *   unknown types. References of the decoder functions to a removed type are replaced by its type id or
+ *   definition, e.g. the history payload keeps recognizing UNIX_TIME records as time,
+ * - the doc comments removed, except the license,
+ * - the device profiles written into `DeviceProfiles`, so they apply on The Things Stack as well.
+ *
+ * @param options Optional settings: `sensorTypes`, an array with the names of the enabled sensor types
+ *                (default all), `profiles`, an object with the device profiles keyed by id, and `source`,
+ *                the decoder source (default the source file).
+ * @return The generated script.
+ * @throws Error for an unknown sensor type name or a source without one of the tables.
+ */
+function buildFormatter(options) {
+    options = options || {};
+    let source = options.source || fs.readFileSync(DecoderFile, 'utf8');
+    let enabled = options.sensorTypes || Object.keys(decoder.SensorTypes);
+
+    for (let name of enabled) {
+        if (!decoder.SensorTypes.hasOwnProperty(name)) {
+            throw new Error("Unknown sensor type: " + name);
+        }
+    }
+    let disabled = Object.keys(decoder.SensorTypes).filter(function (name) { return enabled.indexOf(name) === -1; });
+    let sensorTypes = enabledEntries(decoder.SensorTypes, enabled);
+
+    let references = new Map([[decoder.SensorTypes, 'SensorTypes']]);
+    for (let name in sensorTypes) {
+        references.set(sensorTypes[name], 'SensorTypes.' + name);
+    }
+    for (let name in decoder.PayloadLayouts) {
+        let layoutTypes = decoder.PayloadLayouts[name].sensorTypes;
+        if (layoutTypes !== decoder.SensorTypes) {
+            let overrides = {};
+            for (let type of enabled) {
+                if (layoutTypes[type] !== decoder.SensorTypes[type]) {
+                    overrides[type] = layoutTypes[type];
+                }
+            }
+            references.set(layoutTypes, 'resolveSensorTypes(' + toSource(overrides, new Map()) + ')');
+        }
+    }
+
+    source = replaceDeclaration(source, 'SensorTypes', tableSource(sensorTypes, new Map()));
+    source = replaceDeclaration(source, 'CommandTypes', tableSource(decoder.CommandTypes, references));
+    source = replaceDeclaration(source, 'PayloadLayouts', tableSource(decoder.PayloadLayouts, references));
+    source = replaceDeclaration(source, 'NormalizedPayload',
+        tableSource(enabledEntries(decoder.NormalizedPayload, enabled), references));
+    source = replaceDeclaration(source, 'DeviceProfiles', JSON.stringify(options.profiles || {}, null, 4));
+
+    let license = source.slice(0, source.indexOf('*/') + 2);
+    let body = source.slice(license.length)
+        .replace(/[ \t]*\/\*[\s\S]*?\*\/[ \t]*\n?/g, '')
+        .replace(/\nmodule\.exports\s*=[\s\S]*$/, '\n')
+        .replace(/\n{3,}/g, "\n\n")
+        .trim();
+
+    for (let name of disabled) {
+        let sensor = decoder.SensorTypes[name];
+        body = body.split('SensorTypes.' + name + '.type').join(String(sensor.type));
+        body = body.replace(new RegExp('SensorTypes\\.' + name + '\\b', 'g'), toSource(sensor, new Map()));
+    }
+
+    return license + "\n\n"
+        + "// Generated by decoder_bundle.js from decoder_cayenneLPP_extreme.js, do not edit.\n"
+        + "// Enabled sensor types: " + enabled.join(', ') + "\n"
+        + (options.profiles ? "// Device profiles: " + Object.keys(options.profiles).join(', ') + "\n" : "") + "\n"
+        + body + "\n";
+}
+
+/**
+ * @brief Returns the entries of a table keyed by sensor type name that are enabled, in table order.
+ */
+function enabledEntries(table, enabled) {
+    let entries = {};
+    for (let name in table) {
+        if (enabled.indexOf(name) !== -1) {
+            entries[name] = table[name];
+        }
+    }
+    return entries;
+}
+
+/**
+ * @brief Replaces the top-level declaration `const <name> = ...;` of the decoder source.
+ *
+ * The declaration ends on its first line or at the first line that is `};`, which is how the decoder
+ * writes its tables, so the braces and strings inside the table do not matter.
+ *
+ * @param source The decoder source.
+ * @param name The name of the declared constant.
+ * @param value The source of the new value.
+ * @return The source with the declaration replaced.
+ * @throws Error when the source has no such declaration.
+ */
+function replaceDeclaration(source, name, value) {
+    let start = source.search(new RegExp('^const ' + name + ' = ', 'm'));
+    let lineEnd = source.indexOf('\n', start);
+    let end = /;\s*$/.test(source.slice(start, lineEnd)) ? lineEnd : source.indexOf('\n};', start) + 3;
+    if (start === -1 || end < start) {
+        throw new Error("Declaration not found in the decoder source: " + name);
+    }
+    return source.slice(0, start) + 'const ' + name + ' = ' + value + ';' + source.slice(end);
+}
+
+/**
+ * @brief Writes a table as JavaScript source, with an entry per line, see `toSource`.
+ */
+function tableSource(table, references) {
+    let entries = Object.keys(table).map(function (key) {
+        return '    ' + propertyName(key) + ': ' + toSource(table[key], references);
+    });
+    return entries.length ? '{\n' + entries.join(',\n') + '\n}' : '{}';
+}
+
+/**
+ * @brief Writes a value of the decoder tables as JavaScript source on one line.
+ *
+ * A value that is in `references` is written as its source expression instead, e.g. `SensorTypes.DIG_OUT`,
+ * so the script shares definitions like the module does. Functions are written with their own source.
+ *
+ * @param value The value, built of objects, arrays, functions, strings, numbers and booleans.
+ * @param references A `Map` of values to the source that refers to them.
+ * @return The source of the value.
+ */
+function toSource(value, references) {
+    if (references.has(value)) {
+        return references.get(value);
+    }
+    if (typeof value === 'function') {
+        return value.toString();
+    }
+    if (typeof value === 'string') {
+        return "'" + JSON.stringify(value).slice(1, -1).replace(/\\"/g, '"').replace(/'/g, "\\'") + "'";
+    }
+    if (Array.isArray(value)) {
+        return '[' + value.map(function (item) { return toSource(item, references); }).join(', ') + ']';
+    }
+    if (value !== null && typeof value === 'object') {
+        let entries = Object.keys(value).map(function (key) {
+            return propertyName(key) + ': ' + toSource(value[key], references);
+        });
+        return entries.length ? '{ ' + entries.join(', ') + ' }' : '{}';
+    }
+    return String(value);
+}
+
+/**
+ * @brief Writes a property name, quoted unless it is an identifier or a number.
+ */
+function propertyName(key) {
+    return /^([A-Za-z_$][\w$]*|\d+)$/.test(key) ? key : toSource(key, new Map());
+}
+
+/**
+ * @brief Generates the Jest check of a generated formatter script.
+ *
+ * The check fails when the script file differs from the generated script, so the script that is
+ * uploaded is exactly the script that was checked by `checkFormatter`.
+ *
+ * @param formatterFile The path of the formatter script.
+ * @param formatter The generated script.
+ * @param sensorTypes The names of the enabled sensor types.
+ * @param profiles Optional, the embedded device profiles keyed by id.
+ * @return The source of the Jest test file, to be written next to the formatter script.
+ */
+function buildFormatterTest(formatterFile, formatter, sensorTypes, profiles) {
+    let bundleModule = path.relative(path.dirname(path.resolve(formatterFile)), path.join(__dirname, 'decoder_bundle'))
+        .split(path.sep).join('/');
+    if (bundleModule.charAt(0) !== '.') {
+        bundleModule = './' + bundleModule;
+    }
+
+    return [
+        "// Generated by decoder_bundle.js, do not edit.",
+        "",
+        "const fs = require('fs');",
+        "const path = require('path');",
+        "const { checkFormatter, hashFormatter } = require(" + JSON.stringify(bundleModule) + ");",
+        "",
+        "const sensorTypes = " + JSON.stringify(sensorTypes) + ";",
+        "const profiles = " + JSON.stringify(profiles || null) + ";",
+        "",
+        "describe(" + JSON.stringify(path.basename(formatterFile)) + ", () => {",
+        "    const formatter = fs.readFileSync(path.join(__dirname, " + JSON.stringify(path.basename(formatterFile)) + "), 'utf8');",
+        "",
+        "    it('is the generated script', () => {",
+        "        expect(hashFormatter(formatter)).toBe(" + JSON.stringify(hashFormatter(formatter)) + ");",
+        "    });",
+        "",
+        "    it('decodes like the decoder module in a sandbox', () => {",
+        "        expect(checkFormatter(formatter, sensorTypes, profiles)).toEqual([]);",
+        "    });",
+        "});",
+        ""
+    ].join("\n");
+}
+
+/**
+ * @brief Calculates the SHA-256 hash of a formatter script.
+ */
+function hashFormatter(formatter) {
+    return crypto.createHash('sha256').update(formatter).digest('hex');
+}
+
+/**
+ * @brief Loads a formatter script in a sandbox and compares it with the decoder module.
+ *
+ * The sandbox has no `module`, `require` or other Node globals, like the payload formatter of
+ * The Things Stack. For every sensor type a record with a fixed byte pattern is decoded on fPort 1, in
+ * the plain, structured and decimal output, on fPort 2 and as plain and decimal history payload on
+ * fPort 3; enabled types must give the same result as `decodeUplink` of the module, other types an
+ * unknown type error. The
+ * normalized payload of the decoded data and the downlink functions must give the same result as those
+ * of the module. The module decodes with the embedded device profiles as `profiles`.
+ *
+ * @param formatter The formatter script.
+ * @param sensorTypes The names of the enabled sensor types.
+ * @param profiles Optional, the device profiles embedded in the script, keyed by id.
+ * @return An array with a message for every difference, empty when the script is correct.
+ */
+function checkFormatter(formatter, sensorTypes, profiles) {
+    let problems = [];
+    let sandbox = vm.createContext({});
+
+    try {
+        vm.runInContext(formatter, sandbox, { timeout: 1000 });
+    } catch (err) {
+        return ["Script does not load: " + err.message];
+    }
+    for (let name of ['decodeUplink', 'normalizeUplink', 'encodeDownlink', 'decodeDownlink']) {
+        if (typeof sandbox[name] !== 'function') {
+            problems.push("Function missing: " + name);
+        }
+    }
+    if (problems.length > 0) {
+        return problems;
+    }
+
+    let compare = function (description, actual, expected) {
+        let actualJson = JSON.stringify(actual);
+        let expectedJson = JSON.stringify(expected);
+        if (actualJson !== expectedJson) {
+            problems.push(description + ": " + actualJson + " instead of " + expectedJson);
+        }
+    };
+
+    for (let name in decoder.SensorTypes) {
+        let sensor = decoder.SensorTypes[name];
+        let data = [];
+        for (let i = 0; i < decoder.PayloadLayouts.extreme.sensorTypes[name].bytes; i++) {
+            data.push((i * 37 + 11) & 0xFF);
+        }
+        let standardData = data.slice(0, decoder.PayloadLayouts.standard.sensorTypes[name].bytes);
+
+        let inputs = [
+            { fPort: 1, bytes: [sensor.type, 1].concat(data) },
+            { fPort: 1, bytes: [sensor.type, 1].concat(data), output: 'structured' },
+            { fPort: 1, bytes: [sensor.type, 1].concat(data), valueFormat: 'decimal' },
+            { fPort: 1, bytes: [sensor.type, 1].concat(data), output: 'structured', valueFormat: 'decimal',
+                gpsFormat: 'geojson' },
+            { fPort: 2, bytes: [1, sensor.type].concat(standardData) },
+            { fPort: 3, bytes: [sensor.type, 1].concat(data), recvTime: '2024-03-20T12:00:00.000Z' },
+            { fPort: 3, bytes: [sensor.type, 1].concat(data), recvTime: '2024-03-20T12:00:00.000Z',
+                valueFormat: 'decimal' }
+        ];
+        for (let input of inputs) {
+            let description = name + " on fPort " + input.fPort + (input.output ? " " + input.output : "")
+                + (input.valueFormat ? " " + input.valueFormat : "");
+            let actual = vm.runInContext('decodeUplink(' + JSON.stringify(input) + ')', sandbox);
+            let expected = decoder.decodeUplink(Object.assign({ profiles: profiles || undefined }, input,
+                (sensorTypes.indexOf(name) !== -1) ? {} : { bytes: [] }));
+            if (sensorTypes.indexOf(name) === -1) {
+                expected.errors.push("Unknown type: " + sensor.type);
+            }
+            compare(description, actual, expected);
+            compare(description + " normalized",
+                vm.runInContext('normalizeUplink(' + JSON.stringify({ data: actual.data }) + ')', sandbox),
+                decoder.normalizeUplink({ data: expected.data, profiles: profiles || undefined }));
+        }
+    }
+
+    let commands = { data: { digital_1: 1, analog_2: -1.5, interval: 900 } };
+    let encoded = decoder.encodeDownlink(commands);
+    compare("encodeDownlink", vm.runInContext('encodeDownlink(' + JSON.stringify(commands) + ')', sandbox), encoded);
+    compare("decodeDownlink",
+        vm.runInContext('decodeDownlink(' + JSON.stringify({ fPort: 1, bytes: encoded.bytes }) + ')', sandbox),
+        decoder.decodeDownlink({ fPort: 1, bytes: encoded.bytes }));
+    return problems;
+}
+
+if (require.main === module) {
+    let args = process.argv.slice(2);
+    let sensorTypes = Object.keys(decoder.SensorTypes);
+    let profiles = null;
+    let output = null;
+
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--types' && i + 1 < args.length) {
+            sensorTypes = args[++i].split(',').map(function (name) { return name.trim(); });
+        } else if (args[i] === '--output' && i + 1 < args.length) {
+            output = args[++i];
+        } else if (args[i] === '--profile' && i + 1 < args.length) {
+            try {
+                let file = readProfile(args[++i]);
+                profiles = Object.assign(profiles || {}, { [file.id]: file.profile });
+            } catch (err) {
+                process.stderr.write(err.message + "\n");
+                process.exit(2);
+            }
+        } else {
+            process.stderr.write(USAGE + "\n");
+            process.exit(args[i] === '--help' ? 0 : 2);
+        }
+    }
+
+    let formatter;
+    try {
+        formatter = buildFormatter({ sensorTypes: sensorTypes, profiles: profiles });
+    } catch (err) {
+        process.stderr.write(err.message + "\n");
+        process.exit(2);
+    }
+
+    if (output === null) {
+        process.stdout.write(formatter);
+    } else {
+        fs.writeFileSync(output, formatter);
+        fs.writeFileSync(output.replace(/\.js$/, '') + '.test.js',
+            buildFormatterTest(output, formatter, sensorTypes, profiles));
+        process.stdout.write("Wrote " + output + " (" + Buffer.byteLength(formatter) + " bytes) and its Jest check\n");
+    }
+}
+
+module.exports = { buildFormatter, buildFormatterTest, checkFormatter, hashFormatter };
@@ -0,0 +1,395 @@
+/* This code is free software:
+ * you can redistribute it and/or modify it under the terms of a Creative
+ * Commons Attribution-NonCommercial 4.0 International License
+ * (http://creativecommons.org/licenses/by-nc/4.0/)
+ *
+ * Copyright (c) 2024 March by Klaasjan Wagenaar, Tristan Bosveld and Richard Kroesen
+ */
+
+/**
+ * @brief The plausible range of a value, see `SensorType.range`.
+ */
+export interface Range {
+    min: number;
+    max: number;
+}
+
+/**
+ * @brief A value of a sensor type with more than one value, see `SensorType.fields`.
+ */
+export interface SensorField {
+    name: string;
+    unit?: string;
+    precision: number;
+    signed: boolean;
+    bytes: number;
+    range?: Range;
+}
+
+/**
+ * @brief The definition of a sensor type, an entry of `SensorTypes`.
+ */
+export interface SensorType {
+    type: number;
+    key: string;
+    unit?: string;
+    precision: number;
+    signed: boolean;
+    bytes: number;
+    range?: Range;
+    fields?: SensorField[];
+}
+
+export type SensorTypeName =
+    | 'DIG_IN' | 'DIG_OUT' | 'ANL_IN' | 'ANL_OUT' | 'GEN_SENS' | 'ILLUM_SENS' | 'PRSNC_SENS' | 'TEMP_SENS'
+    | 'HUM_SENS' | 'ACCRM_SENS' | 'BARO_SENS' | 'VOLT_SENS' | 'CURR_SENS' | 'FREQ_SENS' | 'PERC_SENS'
+    | 'ALT_SENS' | 'LOAD_SENS' | 'CONC_SENS' | 'POWER_SENS' | 'DIST_SENS' | 'ENRG_SENS' | 'DIR_SENS'
+    | 'UNIX_TIME' | 'GYRO_SENS' | 'COLOUR' | 'GPS_LOC' | 'SWITCH' | 'TIME_DELTA';
+
+export declare const SensorTypes: Readonly<Record<SensorTypeName, SensorType>>;
+
+/**
+ * @brief The definition of a downlink command, an entry of `CommandTypes`.
+ */
+export interface CommandType {
+    type: number;
+    precision: number;
+    signed: boolean;
+    bytes: number;
+}
+
+export declare const CommandTypes: Readonly<Record<'DIG_OUT' | 'ANL_OUT' | 'REPORT_INTVL', CommandType>>;
+
+/**
+ * @brief The warnings and errors a payload processor appends to.
+ */
+export interface Diagnostics {
+    warnings: string[];
+    errors: string[];
+}
+
+/**
+ * @brief The options `decodeUplink` passes to a payload processor.
+ */
+export interface ProcessOptions {
+    sensorTypes: Record<string, SensorType>;
+    channelFirst: boolean;
+    bigEndian: boolean;
+    errorMode?: 'stop' | 'bestEffort';
+    recvTime?: Date | string | number;
+    output?: 'structured';
+    gpsFormat?: 'geojson';
+    valueFormat?: 'decimal';
+    ranges?: Record<string, Range | null>;
+    trace?: TraceEntry[];
+}
+
+export type PayloadProcess = (bytes: number[], decoded: DecodedData, diagnostics: Diagnostics,
+    options: ProcessOptions) => DecodedData;
+
+/**
+ * @brief A payload processor, an entry of `PayloadVersions`.
+ */
+export interface PayloadProcessor {
+    version: number;
+    process: PayloadProcess;
+    layout?: string;
+}
+
+export type PayloadVersion = PayloadProcessor | { versionByte: Record<number, PayloadProcessor> };
+
+export declare const PayloadVersions: Record<number, PayloadVersion>;
+
+/**
+ * @brief A payload layout, an entry of `PayloadLayouts`.
+ */
+export interface PayloadLayout {
+    sensorTypes: Record<string, SensorType>;
+    channelFirst: boolean;
+    bigEndian: boolean;
+}
+
+export declare const PayloadLayouts: Record<'extreme' | 'standard' | string, PayloadLayout>;
+
+/**
+ * @brief The calibration of a device profile channel, see `DeviceProfiles`.
+ */
+export type Calibration =
+    | { type: 'linear'; gain: number; offset?: number; decimals?: number }
+    | { type: 'polynomial'; coefficients: number[]; decimals?: number };
+
+export interface ProfileChannel {
+    name?: string;
+    unit?: string;
+    required?: boolean;
+    calibration?: Calibration;
+}
+
+/**
+ * @brief A device profile, an entry of `DeviceProfiles`, as plain JSON.
+ */
+export interface DeviceProfile {
+    id?: string;
+    fPorts?: number[];
+    channels: Record<string, ProfileChannel>;
+}
+
+export declare const DeviceProfiles: Record<string, DeviceProfile>;
+
+/**
+ * @brief The input of `decodeUplink`.
+ */
+export interface UplinkInput {
+    bytes: number[] | Uint8Array | string;
+    encoding?: 'hex' | 'base64';
+    fPort: number;
+    recvTime?: Date | string | number;
+    errorMode?: 'stop' | 'bestEffort';
+    sensorTypes?: Record<string, SensorType>;
+    payloadVersions?: Record<number, PayloadVersion>;
+    layout?: string;
+    output?: 'structured';
+    gpsFormat?: 'geojson';
+    valueFormat?: 'decimal';
+    ranges?: Record<string, Range | null>;
+    trace?: boolean;
+    profile?: string;
+    profiles?: Record<string, DeviceProfile>;
+}
+
+export interface Vector {
+    x: number;
+    y: number;
+    z: number;
+}
+
+export interface Colour {
+    r: number;
+    g: number;
+    b: number;
+}
+
+export interface GpsLocation {
+    latitude: number;
+    longitude: number;
+    altitude: number;
+}
+
+/**
+ * @brief A GPS reading decoded with `gpsFormat: 'geojson'`, the coordinates are longitude, latitude, altitude.
+ */
+export interface GeoJsonPoint {
+    type: 'Point';
+    coordinates: [number, number, number];
+}
+
+/**
+ * @brief A reading of a timestamped history payload, see `processPayloadHistory`.
+ */
+export interface HistorySample {
+    channel: number;
+    type: number;
+    value: number | Vector | Colour | GpsLocation | DecimalValue | Record<string, DecimalValue>;
+    time: string | null;
+}
+
+/**
+ * @brief The readings of every channel of the built-in sensor types, keyed `<key>_<channel>`.
+ */
+export interface Readings<N, V, C, G> {
+    [key: `digital_${number}`]: N;
+    [key: `analog_${number}`]: N;
+    [key: `generic_${number}`]: N;
+    [key: `illumination_${number}`]: N;
+    [key: `presence_${number}`]: N;
+    [key: `temperature_${number}`]: N;
+    [key: `humidity_${number}`]: N;
+    [key: `accelerometer_${number}`]: V;
+    [key: `barometer_${number}`]: N;
+    [key: `voltage_${number}`]: N;
+    [key: `current_${number}`]: N;
+    [key: `frequency_${number}`]: N;
+    [key: `percentage_${number}`]: N;
+    [key: `altitude_${number}`]: N;
+    [key: `load_${number}`]: N;
+    [key: `concentration_${number}`]: N;
+    [key: `power_${number}`]: N;
+    [key: `distance_${number}`]: N;
+    [key: `energy_${number}`]: N;
+    [key: `direction_${number}`]: N;
+    [key: `unixtime_${number}`]: N;
+    [key: `gyroscope_${number}`]: V;
+    [key: `colour_${number}`]: C;
+    [key: `gps_${number}`]: G;
+    [key: `switch_${number}`]: N;
+    [key: `timedelta_${number}`]: N;
+}
+
+/**
+ * @brief The `data` of `decodeUplink`.
+ *
+ * The location of the device is set by a GPS reading, `samples` by a history payload. Custom sensor
+ * types add keys that are not declared here.
+ */
+export interface DecodedData extends Readings<number, Vector, Colour, GpsLocation | GeoJsonPoint> {
+    latitude?: number;
+    longitude?: number;
+    altitude?: number;
+    samples?: HistorySample[];
+    [key: string]: unknown;
+}
+
+/**
+ * @brief A reading decoded with `output: 'structured'`, see `structureReading`.
+ */
+export interface StructuredReading<T> {
+    channel: number;
+    type: number;
+    ipso: number;
+    sensor: string;
+    unit: string | Record<string, string | null> | null;
+    value: T;
+}
+
+/**
+ * @brief The `data` of `decodeUplink` with `output: 'structured'`.
+ */
+export interface StructuredData extends Readings<StructuredReading<number>, StructuredReading<Vector>,
+    StructuredReading<Colour>, StructuredReading<GpsLocation | GeoJsonPoint>> {
+    latitude?: number;
+    longitude?: number;
+    altitude?: number;
+    samples?: HistorySample[];
+    [key: string]: unknown;
+}
+
+/**
+ * @brief A value decoded with `valueFormat: 'decimal'`, the value is `raw` × 10^-`scale`. Beyond
+ * `Number.MAX_SAFE_INTEGER` the `raw` integer is a string of digits.
+ */
+export interface DecimalValue {
+    raw: number | string;
+    scale: number;
+}
+
+export type DecimalFields<T> = { [K in keyof T]: DecimalValue };
+
+/**
+ * @brief The `data` of `decodeUplink` with `valueFormat: 'decimal'`, the location of the device stays numbers.
+ */
+export interface DecimalData extends Readings<DecimalValue, DecimalFields<Vector>, DecimalFields<Colour>,
+    DecimalFields<GpsLocation> | { type: 'Point'; coordinates: [DecimalValue, DecimalValue, DecimalValue] }> {
+    latitude?: number;
+    longitude?: number;
+    altitude?: number;
+    samples?: HistorySample[];
+    [key: string]: unknown;
+}
+
+/**
+ * @brief An entry of the `trace` of `decodeUplink`, either a decoded record or undecoded bytes.
+ */
+export type TraceEntry = {
+    offset: number;
+    bytes: number[];
+    name: string;
+    channel: number;
+    raw: number | string | Record<string, number | string>;
+    precision: number | Record<string, number>;
+    value: number | Record<string, number>;
+} | {
+    offset: number;
+    bytes: number[];
+    error: string;
+};
+
+/**
+ * @brief The result of `decodeUplink`.
+ */
+export interface UplinkResult<D = DecodedData> {
+    decoder_version: number | null;
+    data: D;
+    warnings: string[];
+    errors: string[];
+    trace?: TraceEntry[];
+}
+
+export interface DownlinkCommands {
+    [key: `digital_${number}`]: number;
+    [key: `analog_${number}`]: number;
+    interval?: number;
+}
+
+export interface DownlinkResult {
+    bytes: number[];
+    fPort: number;
+    warnings: string[];
+    errors: string[];
+}
+
+export interface DecodedDownlink {
+    data: DownlinkCommands;
+    warnings: string[];
+    errors: string[];
+}
+
+export declare function decodeUplink(input: UplinkInput & { output: 'structured'; valueFormat: 'decimal' }):
+    UplinkResult<Record<string, unknown>>;
+export declare function decodeUplink(input: UplinkInput & { output: 'structured' }): UplinkResult<StructuredData>;
+export declare function decodeUplink(input: UplinkInput & { valueFormat: 'decimal' }): UplinkResult<DecimalData>;
+export declare function decodeUplink(input: UplinkInput): UplinkResult;
+
+/**
+ * @brief A measurement of the normalized payload of The Things Stack, see `normalizeUplink`.
+ */
+export interface NormalizedMeasurement {
+    air?: {
+        temperature?: number;
+        relativeHumidity?: number;
+        pressure?: number;
+        lightIntensity?: number;
+    };
+    action?: {
+        motion?: {
+            detected?: boolean;
+        };
+    };
+    position?: {
+        latitude: number;
+        longitude: number;
+    };
+}
+
+export interface NormalizedResult {
+    data: NormalizedMeasurement | NormalizedMeasurement[];
+    warnings: string[];
+    errors: string[];
+}
+
+export interface NormalizedMapping {
+    path: string[];
+    convert?: (value: any) => unknown;
+}
+
+export declare const NormalizedPayload: Record<'TEMP_SENS' | 'HUM_SENS' | 'BARO_SENS' | 'ILLUM_SENS' | 'PRSNC_SENS' | 'GPS_LOC',
+    NormalizedMapping>;
+
+export declare function normalizeUplink(input: {
+    data: DecodedData | StructuredData | DecimalData | Record<string, unknown>;
+    profiles?: Record<string, DeviceProfile>;
+}): NormalizedResult;
+
+export declare function encodeDownlink(input: { data: DownlinkCommands }): DownlinkResult;
+
+export declare function decodeDownlink(input: { bytes: number[]; fPort: number }): DecodedDownlink;
+
+export declare function encodeValue(value: number | bigint, isSigned: boolean, precision: number, byteLength: number): number[] | null;
+
+export declare function resolveSensorTypes(additional?: Record<string, SensorType> | null,
+    base?: Record<string, SensorType>): Record<string, SensorType>;
+
+export declare function payloadBytes(bytes: unknown, encoding?: 'hex' | 'base64'): number[] | { error: string };
+
+export declare const processPayloadVersion_ONE: PayloadProcess;
+
+export declare const processPayloadHistory: PayloadProcess;
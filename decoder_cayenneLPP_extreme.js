@@ -12,23 +12,68 @@
  * This file contains the `SensorTypes` constant, which is a mapping of various sensor types
  * to their respective characteristics. Each sensor type is an object with the following properties:
  * - `type`: Numeric identifier for the sensor type.
+ * - `key`: The prefix of the decoded key, the channel is appended to it (e.g. `temperature_1`).
+ * - `unit`: Optional, the unit of the scaled value (e.g. `°C`). Fields may have a `unit` of their own.
  * - `precision`: The factor by which the raw sensor data is divided to obtain a meaningful value.
  * - `signed`: Boolean indicating if the sensor data is signed (true) or unsigned (false).
  * - `bytes`: The number of bytes that represent the sensor's data in the transmission.
+ * - `range`: Optional, the plausible `min` and `max` of the scaled value. A reading outside this range
+ *   is still decoded but adds a warning. The range can be overridden per channel with `input.ranges`.
+ * - `fields`: Optional, for sensor types with more than one value. An array with the `name`, `bytes`,
+ *   `precision`, `signed` and optional `unit` and `range` of each value in transmission order; the
+ *   decoded value becomes an object.
+ *
+ * Additional or overriding sensor types can be passed to `decodeUplink` as `input.sensorTypes`.
  */
 const SensorTypes = {
-    DIG_IN: { type: 0, precision: 1, signed: false, bytes: 1 },
-    DIG_OUT: { type: 1, precision: 1, signed: false, bytes: 1 },
-    ANL_IN: { type: 2, precision: 100, signed: true, bytes: 2 },
-    ANL_OUT: { type: 3, precision: 100, signed: true, bytes: 2 },
-    ILLUM_SENS: { type: 101, precision: 1, signed: false, bytes: 2 },
-    PRSNC_SENS: { type: 102, precision: 1, signed: false, bytes: 1 },
-    TEMP_SENS: { type: 103, precision: 10, signed: true, bytes: 2 },
-    HUM_SENS: { type: 104, precision: 10, signed: false, bytes: 2 },
-    ACCRM_SENS: { type: 113, precision: 1000, signed: true, bytes: 6 },
-    BARO_SENS: { type: 115, precision: 10, signed: false, bytes: 2 },
-    GYRO_SENS: { type: 134, precision: 100, signed: true, bytes: 6 },
-    GPS_LOC: { type: 136, precision: 10000, signed: true, bytes: 12 }
+    DIG_IN: { type: 0, key: 'digital', precision: 1, signed: false, bytes: 1, range: { min: 0, max: 1 } },
+    DIG_OUT: { type: 1, key: 'digital', precision: 1, signed: false, bytes: 1, range: { min: 0, max: 1 } },
+    ANL_IN: { type: 2, key: 'analog', precision: 100, signed: true, bytes: 2 },
+    ANL_OUT: { type: 3, key: 'analog', precision: 100, signed: true, bytes: 2 },
+    GEN_SENS: { type: 100, key: 'generic', precision: 1, signed: false, bytes: 4 },
+    ILLUM_SENS: { type: 101, key: 'illumination', unit: 'lux', precision: 1, signed: false, bytes: 2 },
+    PRSNC_SENS: { type: 102, key: 'presence', precision: 1, signed: false, bytes: 1 },
+    TEMP_SENS: { type: 103, key: 'temperature', unit: '°C', precision: 10, signed: true, bytes: 2, range: { min: -40, max: 125 } },
+    HUM_SENS: { type: 104, key: 'humidity', unit: '%RH', precision: 10, signed: false, bytes: 2, range: { min: 0, max: 100 } },
+    ACCRM_SENS: { type: 113, key: 'accelerometer', unit: 'g', precision: 1000, signed: true, bytes: 6,
+        fields: [
+            { name: 'x', precision: 1000, signed: true, bytes: 2 },
+            { name: 'y', precision: 1000, signed: true, bytes: 2 },
+            { name: 'z', precision: 1000, signed: true, bytes: 2 }
+        ] },
+    BARO_SENS: { type: 115, key: 'barometer', unit: 'hPa', precision: 10, signed: false, bytes: 2, range: { min: 300, max: 1100 } },
+    VOLT_SENS: { type: 116, key: 'voltage', unit: 'V', precision: 100, signed: false, bytes: 2 },
+    CURR_SENS: { type: 117, key: 'current', unit: 'A', precision: 1000, signed: false, bytes: 2 },
+    FREQ_SENS: { type: 118, key: 'frequency', unit: 'Hz', precision: 1, signed: false, bytes: 4 },
+    PERC_SENS: { type: 120, key: 'percentage', unit: '%', precision: 1, signed: false, bytes: 1, range: { min: 0, max: 100 } },
+    ALT_SENS: { type: 121, key: 'altitude', unit: 'm', precision: 1, signed: true, bytes: 2 },
+    LOAD_SENS: { type: 122, key: 'load', unit: 'kg', precision: 1000, signed: true, bytes: 3 },
+    CONC_SENS: { type: 125, key: 'concentration', unit: 'ppm', precision: 1, signed: false, bytes: 2 },
+    POWER_SENS: { type: 128, key: 'power', unit: 'W', precision: 1, signed: false, bytes: 2 },
+    DIST_SENS: { type: 130, key: 'distance', unit: 'm', precision: 1000, signed: false, bytes: 4 },
+    ENRG_SENS: { type: 131, key: 'energy', unit: 'kWh', precision: 1000, signed: false, bytes: 4 },
+    DIR_SENS: { type: 132, key: 'direction', unit: 'degrees', precision: 1, signed: false, bytes: 2, range: { min: 0, max: 360 } },
+    UNIX_TIME: { type: 133, key: 'unixtime', unit: 's', precision: 1, signed: false, bytes: 4 },
+    GYRO_SENS: { type: 134, key: 'gyroscope', unit: '°/s', precision: 100, signed: true, bytes: 6,
+        fields: [
+            { name: 'x', precision: 100, signed: true, bytes: 2 },
+            { name: 'y', precision: 100, signed: true, bytes: 2 },
+            { name: 'z', precision: 100, signed: true, bytes: 2 }
+        ] },
+    COLOUR: { type: 135, key: 'colour', precision: 1, signed: false, bytes: 3,
+        fields: [
+            { name: 'r', precision: 1, signed: false, bytes: 1 },
+            { name: 'g', precision: 1, signed: false, bytes: 1 },
+            { name: 'b', precision: 1, signed: false, bytes: 1 }
+        ] },
+    GPS_LOC: { type: 136, key: 'gps', precision: 10000, signed: true, bytes: 12,
+        fields: [
+            { name: 'latitude', unit: 'degrees', precision: 10000, signed: true, bytes: 4 },
+            { name: 'longitude', unit: 'degrees', precision: 10000, signed: true, bytes: 4 },
+            { name: 'altitude', unit: 'm', precision: 100, signed: true, bytes: 4 }
+        ] },
+    SWITCH: { type: 142, key: 'switch', precision: 1, signed: false, bytes: 1, range: { min: 0, max: 1 } },
+    TIME_DELTA: { type: 253, key: 'timedelta', unit: 's', precision: 1, signed: true, bytes: 2 }
 };
 
 /**
@@ -40,51 +85,492 @@ const SensorTypes = {
 * | DIG_OUT     | 1    | 3201   |  1                 | false  | 1            |
 * | ANL_IN      | 2    | 3202   |  100               | true   | 2            |
 * | ANL_OUT     | 3    | 3203   |  100               | true   | 2            |
+* | GEN_SENS    | 100  | 3300   |  1                 | false  | 4            |
 * | ILLUM_SENS  | 101  | 3301   |  1                 | false  | 2            |
 * | PRSNC_SENS  | 102  | 3302   |  1                 | false  | 1            |
 * | TEMP_SENS   | 103  | 3303   |  10                | true   | 2            |
 * | HUM_SENS    | 104  | 3304   |  10                | false  | 2            |
 * | ACCRM_SENS  | 113  | 3313   |  1000              | true   | 6            |
 * | BARO_SENS   | 115  | 3315   |  10                | false  | 2            |
+* | VOLT_SENS   | 116  | 3316   |  100               | false  | 2            |
+* | CURR_SENS   | 117  | 3317   |  1000              | false  | 2            |
+* | FREQ_SENS   | 118  | 3318   |  1                 | false  | 4            |
+* | PERC_SENS   | 120  | 3320   |  1                 | false  | 1            |
+* | ALT_SENS    | 121  | 3321   |  1                 | true   | 2            |
+* | LOAD_SENS   | 122  | 3322   |  1000              | true   | 3            |
+* | CONC_SENS   | 125  | 3325   |  1                 | false  | 2            |
+* | POWER_SENS  | 128  | 3328   |  1                 | false  | 2            |
+* | DIST_SENS   | 130  | 3330   |  1000              | false  | 4            |
+* | ENRG_SENS   | 131  | 3331   |  1000              | false  | 4            |
+* | DIR_SENS    | 132  | 3332   |  1                 | false  | 2            |
+* | UNIX_TIME   | 133  | 3333   |  1                 | false  | 4            |
 * | GYRO_SENS   | 134  | 3334   |  100               | true   | 6            |
+* | COLOUR      | 135  | 3335   |  1                 | false  | 3            |
 * | GPS_LOC     | 136  | 3336   |  10000             | true   | 12           |
+* | SWITCH      | 142  | 3342   |  1                 | false  | 1            |
+* | TIME_DELTA  | 253  | -      |  1                 | true   | 2            |
 */
 
+/**
+ * @brief Definitions for the commands that can be sent to a device in a downlink.
+ *
+ * Downlink commands use the same `[Type] [Channel] [Data Bytes...]` framing as the uplink. The actuator
+ * commands share their definition with the sensor types, `REPORT_INTVL` requests the reporting interval
+ * of the device in seconds and is always sent on channel 0.
+ */
+const CommandTypes = {
+    DIG_OUT: SensorTypes.DIG_OUT,
+    ANL_OUT: SensorTypes.ANL_OUT,
+    REPORT_INTVL: { type: 254, precision: 1, signed: false, bytes: 4 }
+};
+
+/**
+ * @brief Registry of the payload processors, keyed by fPort.
+ *
+ * Each entry is either a payload processor or a table of payload processors keyed by a version byte:
+ * - `version`: The payload version reported as `decoder_version` when the processor ran.
+ * - `process`: The function `(bytes, decoded, diagnostics, options)` that decodes the payload, in the
+ *   same way as `processPayloadVersion_ONE`.
+ * - `layout`: Optional, the name of the `PayloadLayouts` entry to decode with (default 'extreme').
+ * - `versionByte`: Instead of the properties above, an object that maps the first byte of the
+ *   payload to a payload processor. The version byte is removed before the processor runs.
+ *
+ * Additional or overriding entries can be passed to `decodeUplink` as `input.payloadVersions`.
+ */
+const PayloadVersions = {
+    1: { version: 1, process: processPayloadVersion_ONE },
+    2: { version: 2, process: processPayloadVersion_ONE, layout: 'standard' },
+    3: { version: 3, process: processPayloadHistory }
+};
+
+/**
+ * @brief Definitions of the payload layouts a payload processor can decode.
+ *
+ * - `extreme`: The layout of this project, `[Sensor Type] [Channel] [Data Bytes...]` with little endian
+ *   values and the sizes of `SensorTypes`.
+ * - `standard`: The official Cayenne LPP layout used by the stock Arduino and RIOT libraries,
+ *   `[Channel] [Sensor Type] [Data Bytes...]` with big endian values, 1 byte humidity with 0.5 %
+ *   resolution and 3 byte GPS fields with 0.0001 degree and 0.01 m resolution.
+ *
+ * The layout is selected by the `layout` of the `PayloadVersions` entry, or per call by `input.layout`.
+ */
+const PayloadLayouts = {
+    extreme: { sensorTypes: SensorTypes, channelFirst: false, bigEndian: false },
+    standard: {
+        sensorTypes: resolveSensorTypes({
+            HUM_SENS: { type: 104, key: 'humidity', unit: '%RH', precision: 2, signed: false, bytes: 1,
+                range: { min: 0, max: 100 } },
+            GPS_LOC: { type: 136, key: 'gps', precision: 10000, signed: true, bytes: 9,
+                fields: [
+                    { name: 'latitude', unit: 'degrees', precision: 10000, signed: true, bytes: 3 },
+                    { name: 'longitude', unit: 'degrees', precision: 10000, signed: true, bytes: 3 },
+                    { name: 'altitude', unit: 'm', precision: 100, signed: true, bytes: 3 }
+                ] }
+        }),
+        channelFirst: true,
+        bigEndian: true
+    }
+};
+
+/**
+ * @brief Mapping of sensor types to the normalized payload of The Things Stack, see `normalizeUplink`.
+ *
+ * - `path`: The location of the reading in a normalized measurement, e.g. `air.temperature`.
+ * - `convert`: Optional, the function that converts the decoded value to the normalized value.
+ *
+ * The units of the normalized payload equal the units of the sensor types: °C, %RH, hPa and lux.
+ */
+const NormalizedPayload = {
+    TEMP_SENS: { path: ['air', 'temperature'] },
+    HUM_SENS: { path: ['air', 'relativeHumidity'] },
+    BARO_SENS: { path: ['air', 'pressure'] },
+    ILLUM_SENS: { path: ['air', 'lightIntensity'] },
+    PRSNC_SENS: { path: ['action', 'motion', 'detected'], convert: function (value) { return value > 0; } },
+    GPS_LOC: { path: ['position'], convert: function (value) {
+        return (value.type === 'Point')
+            ? { latitude: value.coordinates[1], longitude: value.coordinates[0] }
+            : { latitude: value.latitude, longitude: value.longitude };
+    } }
+};
+
+/**
+ * @brief Registry of the device profiles, keyed by profile id.
+ *
+ * A device profile gives the readings of a device meaningful names and calibrates them. Profiles are plain
+ * JSON, so they can be versioned with the firmware of the device:
+ * - `fPorts`: Optional, the fPorts of the uplinks the profile applies to when the input of `decodeUplink`
+ *   does not select a profile by id.
+ * - `channels`: An object keyed by the decoded key of a reading, e.g. `analog_5`, with:
+ *   - `name`: Optional, the key the reading is renamed to, e.g. `battery_v`.
+ *   - `unit`: Optional, the unit of the structured output, e.g. after a calibration to another unit.
+ *   - `required`: Optional, true when a missing reading adds a warning.
+ *   - `calibration`: Optional, `{ "type": "linear", "gain": <a>, "offset": <b> }` for a × value + b, or
+ *     `{ "type": "polynomial", "coefficients": [c0, c1, c2, ...] }` for c0 + c1 × value + c2 × value² + ...,
+ *     applied to a numeric reading such as ANL_IN. The optional `decimals` rounds the result.
+ *
+ * Additional or overriding profiles can be passed to `decodeUplink` as `input.profiles`; `decoder_bundle.js`
+ * embeds profile files here for The Things Stack.
+ */
+const DeviceProfiles = {};
+
 /**
  * @brief Decodes the uplink data payload based on the specified payload version.
  *
- * This function decodes the input payload by examining the payload version. For encoding version 1.
+ * This function decodes the input payload with the payload processor that `PayloadVersions` registers
+ * for its fPort. An unknown fPort or version byte is reported as an error.
+ *
+ * @param input A structure containing the payload to be decoded. The `bytes` are an array of integers from
+ *              0 to 255, a Uint8Array (or Node.js Buffer), or a hex or base64 string, with the optional
+ *              `encoding` 'hex' or 'base64' when the string is ambiguous, see `payloadBytes`; any other
+ *              value is reported as an error without decoding. The optional `errorMode` ('stop' or
+ *              'bestEffort') selects how the bytes after a malformed record are handled, the optional
+ *              `sensorTypes` adds or overrides sensor types (see `resolveSensorTypes`), the optional
+ *              `payloadVersions` adds or overrides entries of `PayloadVersions`, the optional `layout`
+ *              selects an entry of `PayloadLayouts` regardless of the fPort and the optional `output`
+ *              set to 'structured' decodes every reading into an object with its metadata (see
+ *              `structureReading`) instead of the bare value. With the optional `gpsFormat` set to
+ *              'geojson' GPS readings are decoded as GeoJSON Point geometry. With the optional
+ *              `valueFormat` set to 'decimal' every value is a lossless `{ raw, scale }` pair, the value
+ *              being `raw` × 10^-`scale`, instead of a number (see `scaleValue`). The optional `ranges`
+ *              overrides the plausible range of a channel, see `checkRange`. With the optional `trace`
+ *              set to true the result also has a `trace` array that explains how every byte was decoded,
+ *              see `decodeRecords`.
+ *
+ *              The optional `profile` selects a device profile by id from `DeviceProfiles` and the
+ *              optional `profiles`, which adds or overrides profiles. Without `profile` the first
+ *              profile that lists the fPort in its `fPorts` is applied, see `applyDeviceProfile`.
  *
- * @param input A structure containing the payload to be decoded.
+ *              The first GPS reading within range also sets the `latitude`, `longitude` and `altitude`
+ *              of `data`, which The Things Stack uses as the location of the device.
  * @return Returns an object containing the decoded data, the version of the coding used, 
- *         and arrays for warnings and errors. The returned object has the following structure:
+ *         and arrays for warnings and errors. The Things Stack marks the uplink as failed when
+ *         `errors` is not empty. The returned object has the following structure:
  *         {
- *           decoder_version: <version>,    // Integer representing the payload version
+ *           decoder_version: <version>,    // Version of the payload processor that ran, null if none
  *           data: <decoded_data>,          // Object containing the decoded payload
  *           warnings: <warnings_array>,    // Array of strings representing any warnings
  *           errors: <errors_array>,        // Array of strings representing any errors encountered
  *         }
  */
 function decodeUplink(input) {
-    let bytes = input.bytes;
-    let payload_version = input.fPort;
+    let bytes = payloadBytes(input.bytes, input.encoding);
     let decoded = {};
+    let diagnostics = { warnings: [], errors: [] };
+    let processor = bytes.error ? { error: bytes.error }
+        : findPayloadProcessor(input.fPort, bytes, input.payloadVersions);
+    let trace = input.trace ? [] : undefined;
+    let profile = findDeviceProfile(input.profile, input.fPort, input.profiles);
 
+    let layoutName = input.layout || processor.layout || 'extreme';
 
-    if (payload_version == 1) { 
-        decoded = processPayloadVersion_ONE(bytes, decoded);
+    if (!processor.error && !PayloadLayouts.hasOwnProperty(layoutName)) {
+        processor = { error: "Payload layout not supported: " + layoutName };
+    }
+    if (!processor.error && profile && profile.error) {
+        processor = profile;
+    }
+
+    if (processor.error) {
+        diagnostics.errors.push(processor.error);
     } else {
-        decoded.errors = ["Payload Version not supported: " + payload_version];
+        if (processor.versionByte) {
+            bytes = bytes.slice(1);
+        }
+        let layout = PayloadLayouts[layoutName];
+        let sensorTypes = resolveSensorTypes(input.sensorTypes, layout.sensorTypes);
+        decoded = processor.process(bytes, decoded, diagnostics, {
+            sensorTypes: sensorTypes,
+            channelFirst: layout.channelFirst,
+            bigEndian: layout.bigEndian,
+            errorMode: input.errorMode,
+            recvTime: input.recvTime,
+            output: input.output,
+            gpsFormat: input.gpsFormat,
+            valueFormat: input.valueFormat,
+            ranges: input.ranges,
+            trace: trace
+        });
+        if (profile) {
+            applyDeviceProfile(decoded, diagnostics, profile, sensorTypes);
+        }
     }
 
-    return {
-        decoder_version: payload_version,
+    let result = {
+        decoder_version: processor.error ? null : processor.version,
         data: decoded,
-        warnings: [],
+        warnings: diagnostics.warnings,
+        errors: diagnostics.errors,
+    };
+    if (trace) {
+        result.trace = trace;
+    }
+    return result;
+}
+
+/**
+ * @brief Converts the decoded data of an uplink into the normalized payload of The Things Stack.
+ *
+ * The readings of the sensor types in `NormalizedPayload` are mapped into a normalized measurement, e.g.
+ * `temperature_1` into `air.temperature` and `gps_6` into `position`. Other readings are left out. When
+ * the data has more than one reading of a kind, e.g. `temperature_1` and `temperature_3`, a measurement
+ * is made per channel, in channel order, so the readings of one sensor stay together.
+ *
+ * The sensor type of a reading is found by its key, by the `sensor` of a structured reading, or for a key
+ * renamed by a device profile by the key it was renamed from, see `DeviceProfiles`. Decimal `{ raw, scale }`
+ * values are converted to numbers. A key of which the sensor type is unknown, like a reading renamed by a
+ * profile that is not in `DeviceProfiles` or `input.profiles`, adds a warning, as does a reading of which
+ * a device profile changed the unit.
+ *
+ * @param input A structure containing the `data` returned by `decodeUplink`, flat, structured or decimal,
+ *              and the optional `profiles`, device profiles keyed by id in addition to `DeviceProfiles`.
+ * @return Returns an object with the following structure:
+ *         {
+ *           data: <measurement>,           // Normalized measurement, or array of measurements per channel
+ *           warnings: <warnings_array>,    // Array of strings representing any warnings
+ *           errors: <errors_array>,        // Array of strings representing any errors encountered
+ *         }
+ */
+function normalizeUplink(input) {
+    let renamed = {};
+    let found = [];
+    let warnings = [];
+    let profiles = Object.assign({}, DeviceProfiles, input.profiles);
+
+    for (let id in profiles) {
+        let channels = profiles[id].channels || {};
+        for (let key in channels) {
+            if (channels[key].name && !renamed.hasOwnProperty(channels[key].name)) {
+                renamed[channels[key].name] = { key: key, unit: channels[key].unit };
+            }
+        }
+    }
+
+    for (let key in input.data) {
+        if (['latitude', 'longitude', 'altitude', 'samples'].indexOf(key) !== -1) {
+            continue;
+        }
+        let reading = normalizedReading(key, input.data[key], renamed);
+        if (reading === null) {
+            warnings.push("Reading " + key + " not normalized: unknown sensor type");
+        } else if (NormalizedPayload.hasOwnProperty(reading.name) && typeof reading.unit === 'string'
+            && typeof SensorTypes[reading.name].unit === 'string' && reading.unit !== SensorTypes[reading.name].unit) {
+            warnings.push("Reading " + key + " not normalized: unit " + reading.unit + " instead of "
+                + SensorTypes[reading.name].unit);
+        } else {
+            found.push(reading);
+        }
+    }
+
+    let readings = [];
+    let repeated = false;
+    for (let name in NormalizedPayload) {
+        let count = 0;
+        for (let reading of found) {
+            if (reading.name !== name) {
+                continue;
+            }
+            let mapping = NormalizedPayload[name];
+            readings.push({
+                channel: reading.channel,
+                path: mapping.path,
+                value: mapping.convert ? mapping.convert(reading.value) : reading.value
+            });
+            repeated = repeated || ++count > 1;
+        }
+    }
+
+    let measurements = {};
+    for (let reading of readings) {
+        let channel = repeated ? reading.channel : 0;
+        measurements[channel] = measurements[channel] || {};
+        let target = measurements[channel];
+        for (let i = 0; i < reading.path.length - 1; i++) {
+            target = target[reading.path[i]] = target[reading.path[i]] || {};
+        }
+        target[reading.path[reading.path.length - 1]] = reading.value;
+    }
+
+    let channels = Object.keys(measurements).map(Number).sort(function (a, b) { return a - b; });
+    return {
+        data: repeated ? channels.map(function (channel) { return measurements[channel]; }) : (measurements[0] || {}),
+        warnings: warnings,
         errors: [],
     };
 }
 
+/**
+ * @brief Finds the sensor type, channel and numeric value of a decoded reading, see `normalizeUplink`.
+ *
+ * @param key The key of the reading in the decoded data.
+ * @param value The decoded reading, flat, structured or decimal.
+ * @param renamed An object with the original `key` and profile `unit` of every key renamed by a device profile.
+ * @return An object with the sensor type `name`, the `channel`, the `value` with decimal pairs converted to
+ *         numbers and the `unit` when known, or `null` when the sensor type of the key is unknown.
+ */
+function normalizedReading(key, value, renamed) {
+    if (value !== null && typeof value === 'object' && value.hasOwnProperty('sensor')) {
+        return { name: value.sensor, channel: value.channel, value: numberValue(value.value), unit: value.unit };
+    }
+    let original = renamed.hasOwnProperty(key) ? renamed[key] : { key: key };
+    let match = /^(.+)_(\d+)$/.exec(original.key);
+    for (let name in SensorTypes) {
+        if (match && SensorTypes[name].key === match[1]) {
+            return { name: name, channel: Number(match[2]), value: numberValue(value), unit: original.unit };
+        }
+    }
+    return null;
+}
+
+/**
+ * @brief Converts the decimal `{ raw, scale }` pairs of a value to numbers, see `valueFormat` 'decimal'.
+ */
+function numberValue(value) {
+    if (value === null || typeof value !== 'object') {
+        return value;
+    }
+    if (value.hasOwnProperty('raw') && value.hasOwnProperty('scale')) {
+        return Number(value.raw + 'e' + (-value.scale));
+    }
+    let converted = Array.isArray(value) ? [] : {};
+    for (let field in value) {
+        converted[field] = numberValue(value[field]);
+    }
+    return converted;
+}
+
+/**
+ * @brief Encodes actuator commands into a downlink payload.
+ *
+ * The keys of `input.data` select the command: `digital_<channel>` sets a DIG_OUT channel to 0 or 1,
+ * `analog_<channel>` sets an ANL_OUT channel and `interval` requests the reporting interval in seconds.
+ * A value that the command can not encode is reported as an error and left out of the payload.
+ *
+ * @param input A structure containing the `data` object with the commands to be encoded.
+ * @return Returns an object with the following structure:
+ *         {
+ *           bytes: <bytes_array>,          // Array of bytes with the encoded commands
+ *           fPort: <version>,              // Integer representing the payload version
+ *           warnings: <warnings_array>,    // Array of strings representing any warnings
+ *           errors: <errors_array>,        // Array of strings representing any errors encountered
+ *         }
+ */
+function encodeDownlink(input) {
+    let bytes = [];
+    let errors = [];
+
+    for (let key in input.data) {
+        let value = input.data[key];
+        let match = /^(digital|analog)_(\d+)$/.exec(key);
+        let command;
+        let channel = 0;
+
+        if (key === 'interval') {
+            command = CommandTypes.REPORT_INTVL;
+        } else if (match && Number(match[2]) <= 255) {
+            command = match[1] === 'digital' ? CommandTypes.DIG_OUT : CommandTypes.ANL_OUT;
+            channel = Number(match[2]);
+        } else {
+            errors.push("Unknown command: " + key);
+            continue;
+        }
+
+        if (command === CommandTypes.DIG_OUT && value !== 0 && value !== 1) {
+            errors.push("Invalid value: " + key + " = " + value + ", expected 0 or 1");
+            continue;
+        }
+        let encoded = encodeValue(value, command.signed, command.precision, command.bytes);
+        if (encoded === null) {
+            errors.push("Value out of range: " + key + " = " + value);
+            continue;
+        }
+        bytes = bytes.concat([command.type, channel], encoded);
+    }
+
+    return {
+        bytes: bytes,
+        fPort: 1,
+        warnings: [],
+        errors: errors,
+    };
+}
+
+/**
+ * @brief Decodes a downlink payload back into the commands created by `encodeDownlink`.
+ *
+ * The `bytes` are checked like those of `decodeUplink`, see `payloadBytes`. A truncated command is reported
+ * with its byte offset and, when present, its channel.
+ *
+ * @param input A structure containing the `bytes` and `fPort` of the downlink.
+ * @return Returns an object with the following structure:
+ *         {
+ *           data: <decoded_data>,          // Object containing the decoded commands
+ *           warnings: <warnings_array>,    // Array of strings representing any warnings
+ *           errors: <errors_array>,        // Array of strings representing any errors encountered
+ *         }
+ */
+function decodeDownlink(input) {
+    let bytes = payloadBytes(input.bytes);
+    let data = {};
+    let errors = [];
+
+    if (bytes.error) {
+        errors.push(bytes.error);
+        bytes = [];
+    } else if (input.fPort != 1) {
+        errors.push("Payload Version not supported: " + input.fPort);
+        bytes = [];
+    }
+
+    for (let i = 0; i < bytes.length;) {
+        let offset = i;
+        let type = bytes[i++];
+        let channel = bytes[i++];
+        let command;
+        let key;
+
+        switch (type) {
+            case CommandTypes.DIG_OUT.type:
+                command = CommandTypes.DIG_OUT;
+                key = 'digital';
+                break;
+            case CommandTypes.ANL_OUT.type:
+                command = CommandTypes.ANL_OUT;
+                key = 'analog';
+                break;
+            case CommandTypes.REPORT_INTVL.type:
+                command = CommandTypes.REPORT_INTVL;
+                key = 'interval';
+                break;
+            default:
+                errors.push("Unknown command type: " + type);
+                i = bytes.length; // Skip the rest of the payload
+                continue;
+        }
+
+        if (i > bytes.length) {
+            errors.push("Command truncated at byte " + offset + ": " + key + " without channel");
+            break;
+        }
+        if (command !== CommandTypes.REPORT_INTVL) {
+            key += '_' + channel;
+        }
+        if (i + command.bytes > bytes.length) {
+            errors.push("Command truncated: " + key);
+            break;
+        }
+
+        let decodeResult = decodeValue(bytes, i, command.signed, command.precision, command.bytes);
+        i = decodeResult.index;
+        data[key] = decodeResult.value;
+    }
+
+    return {
+        data: data,
+        warnings: [],
+        errors: errors,
+    };
+}
+
 /**
  * @brief Decodes a value from a byte array based on the specified parameters.
  *
@@ -92,30 +578,162 @@ function decodeUplink(input) {
  * a sequence of `byteLength` bytes according to whether the value is signed or unsigned,
  * and then adjusting it by a given `precision`.
  *
+ * The value is built with arithmetic instead of 32-bit bitwise operators, so values of 1 to 6 bytes are
+ * exact. Values of 7 and 8 bytes are built as BigInt; when their integer exceeds `Number.MAX_SAFE_INTEGER`
+ * it is returned as string of digits, so a trace with the `raw` integer stays JSON.
+ *
  * @param bytes The array of bytes from which the value is to be extracted.
  * @param i The starting index in the `bytes` array from which to begin decoding the value.
  * @param isSigned A boolean indicating whether the value to be decoded is signed (true) or unsigned (false).
  * @param precision The factor by which the raw decoded value should be divided to obtain the final value.
  *                  This allows for the representation of fractional values without using floating point numbers
  *                  in the encoded data.
- * @param byteLength The number of bytes that make up the value to be decoded.
+ * @param byteLength The number of bytes that make up the value to be decoded, 1 to 8.
+ * @param bigEndian Optional, true when the most significant byte comes first. By default the value is
+ *                  read in little endian order.
  *
- * @return An object containing two properties: `value` and `index`. `value` is the decoded number adjusted
- *         by the `precision`, and `index` is the new index in the `bytes` array after decoding the value,
- *         which can be used for subsequent decoding operations.
+ * @return An object containing four properties: `value`, `raw`, `decimal` and `index`. `value` is the decoded
+ *         number adjusted by the `precision`, see `scaleValue`, `raw` the integer before that adjustment, a
+ *         string of digits beyond `Number.MAX_SAFE_INTEGER`, `decimal` the value as `{ raw, scale }` pair, with `raw` as string of digits beyond
+ *         `Number.MAX_SAFE_INTEGER` so the decoded data stays JSON, and `index` is the new index in the `bytes` array
+ *         after decoding the value, which can be used for subsequent decoding operations.
  */
-function decodeValue(bytes, i, isSigned, precision, byteLength) {
-    let value = 0;
-    for (let byteIndex = byteLength - 1; byteIndex >= 0; byteIndex--) {
-        value = (value << 8) | bytes[i+byteIndex];
+function decodeValue(bytes, i, isSigned, precision, byteLength, bigEndian) {
+    let raw;
+    if (byteLength <= 6) {
+        raw = 0;
+        for (let byteIndex = byteLength - 1; byteIndex >= 0; byteIndex--) {
+            raw = raw * 256 + bytes[bigEndian ? i + byteLength - 1 - byteIndex : i + byteIndex];
+        }
+        let range = Math.pow(2, 8 * byteLength);
+        if (isSigned && raw >= range / 2) {
+            raw -= range;
+        }
+    } else {
+        raw = BigInt(0);
+        for (let byteIndex = byteLength - 1; byteIndex >= 0; byteIndex--) {
+            raw = raw * BigInt(256) + BigInt(bytes[bigEndian ? i + byteLength - 1 - byteIndex : i + byteIndex]);
+        }
+        let range = BigInt(2) ** BigInt(8 * byteLength);
+        if (isSigned && raw >= range / BigInt(2)) {
+            raw -= range;
+        }
+        if (Number.isSafeInteger(Number(raw))) {
+            raw = Number(raw);
+        }
     }
 
-    i += byteLength;
+    let scaled = scaleValue(raw, precision);
+    let decimal = { raw: (typeof scaled.raw === 'bigint') ? String(scaled.raw) : scaled.raw, scale: scaled.scale };
+    return { value: scaled.value, raw: (typeof raw === 'bigint') ? String(raw) : raw, decimal: decimal,
+        index: i + byteLength };
+}
 
-    if (isSigned && (value & (1 << (8 * byteLength - 1)))) {
-        value = value - (1 << (8 * byteLength));
+/**
+ * @brief Divides a raw integer by a precision, rounded to the decimals the precision implies.
+ *
+ * A precision that divides a power of ten, like all built-in precisions (1, 2, 10, 100, 1000 and 10000),
+ * implies the decimals of one step: 1 decimal for 10 (0.1) and for 2 (0.5). The raw integer is scaled to
+ * an integer number of those decimals, so the value is the number closest to the exact decimal, e.g.
+ * `-0.1278` for raw `-1278` with precision 10000, without rounding artifacts. Other precisions are
+ * rounded to 6 decimals.
+ *
+ * @param raw The integer read from the payload, a BigInt beyond `Number.MAX_SAFE_INTEGER`.
+ * @param precision The factor by which the raw integer is divided.
+ * @return An object with the scaled `value`, and the decimal `raw` integer and `scale` for which
+ *         `value` = `raw` × 10^-`scale`; `raw` is a BigInt beyond `Number.MAX_SAFE_INTEGER`.
+ */
+function scaleValue(raw, precision) {
+    let scale = 6;
+    for (let decimals = 0; decimals <= 15; decimals++) {
+        if (Number.isInteger(Math.pow(10, decimals) / precision)) {
+            scale = decimals;
+            break;
+        }
     }
-    return { value: value / precision, index: i };
+
+    let factor = Math.pow(10, scale) / precision;
+    let decimal = Number.isInteger(factor) ? Number(raw) * factor : Math.round(Number(raw) * factor);
+    if (!Number.isSafeInteger(decimal) && Number.isInteger(factor)) {
+        decimal = BigInt(raw) * BigInt(factor);
+    }
+
+    if (typeof decimal !== 'bigint') {
+        return { value: decimal / Math.pow(10, scale), raw: decimal, scale: scale };
+    }
+    let digits = String(decimal < 0 ? -decimal : decimal).padStart(scale + 1, '0');
+    let point = digits.length - scale;
+    let text = (decimal < 0 ? '-' : '') + digits.slice(0, point) + '.' + digits.slice(point);
+    return { value: Number(text), raw: decimal, scale: scale };
+}
+
+/**
+ * @brief Encodes a value into a byte array, the inverse of `decodeValue`.
+ *
+ * The value is multiplied by `precision`, rounded to the nearest integer and written as
+ * `byteLength` bytes in little endian order. Negative values are written in two's complement.
+ * Values of 7 and 8 bytes are written with BigInt arithmetic, a BigInt `value` is written as is.
+ *
+ * @param value The (scaled) number to be encoded, e.g. `25.9` for a temperature.
+ * @param isSigned A boolean indicating whether the value is encoded signed (true) or unsigned (false).
+ * @param precision The factor by which the value is multiplied before it is encoded.
+ * @param byteLength The number of bytes that make up the encoded value, 1 to 8.
+ *
+ * @return An array of `byteLength` bytes, or `null` when the value is not a finite number or
+ *         does not fit in `byteLength` bytes.
+ */
+function encodeValue(value, isSigned, precision, byteLength) {
+    if (typeof value === 'bigint') {
+        return encodeBigValue(value * BigInt(precision), isSigned, byteLength);
+    }
+    if (typeof value !== 'number' || !isFinite(value)) {
+        return null;
+    }
+    if (byteLength > 6) {
+        return encodeBigValue(BigInt(Math.round(value * precision)), isSigned, byteLength);
+    }
+
+    let raw = Math.round(value * precision);
+    let range = Math.pow(2, 8 * byteLength);
+    let min = isSigned ? -range / 2 : 0;
+    let max = isSigned ? range / 2 - 1 : range - 1;
+    if (raw < min || raw > max) {
+        return null;
+    }
+
+    if (raw < 0) {
+        raw += range;
+    }
+
+    let bytes = [];
+    for (let byteIndex = 0; byteIndex < byteLength; byteIndex++) {
+        bytes.push(raw % 256);
+        raw = Math.floor(raw / 256);
+    }
+    return bytes;
+}
+
+/**
+ * @brief Writes a BigInt integer as `byteLength` bytes in little endian order, see `encodeValue`.
+ */
+function encodeBigValue(raw, isSigned, byteLength) {
+    let range = BigInt(2) ** BigInt(8 * byteLength);
+    let min = isSigned ? -range / BigInt(2) : BigInt(0);
+    let max = (isSigned ? range / BigInt(2) : range) - BigInt(1);
+    if (raw < min || raw > max) {
+        return null;
+    }
+
+    if (raw < BigInt(0)) {
+        raw += range;
+    }
+
+    let bytes = [];
+    for (let byteIndex = 0; byteIndex < byteLength; byteIndex++) {
+        bytes.push(Number(raw % BigInt(256)));
+        raw = raw / BigInt(256);
+    }
+    return bytes;
 }
 
 /**
@@ -123,120 +741,637 @@ function decodeValue(bytes, i, isSigned, precision, byteLength) {
  *
  * This function iterates through the bytes of the payload, decoding each segment according to the sensor type
  * it represents. The decoded values are then added to the `decoded` object with keys
- * representing the sensor type and channel.
+ * representing the sensor type and channel. A reading that overwrites an earlier reading with the
+ * same key adds a warning.
  *
  * @param bytes An array of bytes representing the payload to be decoded.
  * @param decoded An initially empty object that will be populated with the decoded sensor values.
+ * @param diagnostics An object with the `warnings` and `errors` arrays to which problems are appended.
+ * @param options The decoding options, see `decodeRecords`, including the optional `trace` array, and the
+ *                optional `output`, `gpsFormat` and `valueFormat` modes, see `readingValue`.
  * @return Returns the `decoded` object populated with keys and values representing the decoded sensor data.
  *     
  */
-function processPayloadVersion_ONE(bytes, decoded) {
-    for (let i = 0; i < bytes.length;) {
-        let type = bytes[i++];
-        let channel = bytes[i++];
-        let decodeResult;
+function processPayloadVersion_ONE(bytes, decoded, diagnostics, options) {
+    decodeRecords(bytes, diagnostics, options, function (record) {
+        addReading(decoded, diagnostics, record.sensor.key + '_' + record.channel, readingValue(record, options),
+            record.offset);
+        if (record.location && !decoded.hasOwnProperty('latitude')) {
+            setLocation(decoded, record.value);
+        }
+    });
+    return decoded;
+}
 
-        switch (type) {
-            case SensorTypes.DIG_IN.type:
-                decodeResult = decodeValue(bytes, i, SensorTypes.DIG_IN.signed,
-                    SensorTypes.DIG_IN.precision, SensorTypes.DIG_IN.bytes);
-                i = decodeResult.index;
-                decoded['digital_' + channel] = decodeResult.value;
-                break;
-            case SensorTypes.DIG_OUT.type:
-                decodeResult = decodeValue(bytes, i, SensorTypes.DIG_OUT.signed,
-                    SensorTypes.DIG_OUT.precision, SensorTypes.DIG_OUT.bytes);
-                i = decodeResult.index; // Update index
-                decoded['digital_' + channel] = decodeResult.value;
-                break;
-            case SensorTypes.ANL_IN.type:
-                decodeResult = decodeValue(bytes, i, SensorTypes.ANL_IN.signed,
-                    SensorTypes.ANL_IN.precision, SensorTypes.ANL_IN.bytes);
-                i = decodeResult.index;
-                decoded['analog_' + channel] = decodeResult.value;
-                break;
-            case SensorTypes.ANL_OUT.type:
-                decodeResult = decodeValue(bytes, i, SensorTypes.ANL_OUT.signed,
-                    SensorTypes.ANL_OUT.precision, SensorTypes.ANL_OUT.bytes);
-                i = decodeResult.index;
-                decoded['analog_' + channel] = decodeResult.value;
-                break;
-            case SensorTypes.ILLUM_SENS.type:
-                decodeResult = decodeValue(bytes, i, SensorTypes.ILLUM_SENS.signed,
-                    SensorTypes.ILLUM_SENS.precision, SensorTypes.ILLUM_SENS.bytes);
-                i = decodeResult.index;
-                decoded['illumination_' + channel] = decodeResult.value;
-                break;
-            case SensorTypes.PRSNC_SENS.type:
-                decodeResult = decodeValue(bytes, i, SensorTypes.PRSNC_SENS.signed,
-                    SensorTypes.PRSNC_SENS.precision, SensorTypes.PRSNC_SENS.bytes);
-                i = decodeResult.index;
-                decoded['presence_' + channel] = decodeResult.value;
-                break;
-            case SensorTypes.TEMP_SENS.type:
-                decodeResult = decodeValue(bytes, i, SensorTypes.TEMP_SENS.signed,
-                    SensorTypes.TEMP_SENS.precision, SensorTypes.TEMP_SENS.bytes);
-                i = decodeResult.index;
-                decoded['temperature_' + channel] = decodeResult.value;
+/**
+ * @brief Processes and decodes a timestamped history payload.
+ *
+ * Devices that buffer readings flush them in one uplink of sensor records and time records. A UNIX_TIME
+ * record sets the time of the readings after it, a TIME_DELTA record moves that time by its (signed)
+ * number of seconds. Before the first time record the time is the `recvTime` of the uplink, when known;
+ * an invalid `recvTime` adds a warning and leaves the time unknown. The time records themselves are not
+ * readings.
+ *
+ * The `decoded` object gets a `samples` array with a `{ channel, type, value, time }` object per reading
+ * in payload order, `time` is an ISO 8601 string or `null`. The latest reading of every key is also
+ * added with the same keys as `processPayloadVersion_ONE` uses, the latest GPS reading within range sets
+ * the location. Repeated keys are expected and do not add a warning.
+ *
+ * @param bytes An array of bytes representing the payload to be decoded.
+ * @param decoded An initially empty object that will be populated with the decoded samples.
+ * @param diagnostics An object with the `warnings` and `errors` arrays to which problems are appended.
+ * @param options The decoding options, see `decodeRecords`, the optional `recvTime` of the uplink and
+ *                the optional `output`, `gpsFormat` and `valueFormat` modes, see `readingValue`.
+ * @return Returns the `decoded` object with the `samples` and the latest value per key.
+ */
+function processPayloadHistory(bytes, decoded, diagnostics, options) {
+    let time = options.recvTime ? validTime(new Date(options.recvTime).getTime()) : null;
+    let latest = {};
+
+    if (options.recvTime && time === null) {
+        diagnostics.warnings.push("Invalid recvTime: " + options.recvTime +
+            ", samples before a time record have no time");
+    }
+
+    decoded.samples = [];
+    decodeRecords(bytes, diagnostics, options, function (record) {
+        if (record.sensor.type === SensorTypes.UNIX_TIME.type) {
+            time = validTime(record.value * 1000);
+            return;
+        }
+        if (record.sensor.type === SensorTypes.TIME_DELTA.type) {
+            time = (time === null) ? null : validTime(time + record.value * 1000);
+            return;
+        }
+
+        let key = record.sensor.key + '_' + record.channel;
+        decoded.samples.push({
+            channel: record.channel,
+            type: record.sensor.type,
+            value: (options.valueFormat === 'decimal') ? record.decimal : record.value,
+            time: (time === null) ? null : new Date(time).toISOString()
+        });
+        if (!latest.hasOwnProperty(key) || latest[key] === null || time === null || time >= latest[key]) {
+            latest[key] = time;
+            decoded[key] = readingValue(record, options);
+            if (record.location) {
+                setLocation(decoded, record.value);
+            }
+        }
+    });
+    return decoded;
+}
+
+/**
+ * @brief Returns a time in milliseconds since the epoch, or `null` when it is not a valid date.
+ */
+function validTime(time) {
+    return isNaN(new Date(time).getTime()) ? null : time;
+}
+
+/**
+ * @brief Decodes the sensor records of a payload one by one.
+ *
+ * Before a record is decoded its declared length is checked against the remaining bytes. A malformed
+ * record (unknown type or truncated) adds an error naming its byte offset; the records decoded before
+ * it are kept. With `errorMode` 'stop' the rest of the payload is skipped, with 'bestEffort' parsing
+ * resumes at the byte after the type of an unknown record. A truncated record always ends the payload.
+ *
+ * @param bytes An array of bytes representing the payload to be decoded.
+ * @param diagnostics An object with the `warnings` and `errors` arrays to which problems are appended.
+ * @param options An object with the `sensorTypes` to decode with, the `channelFirst` and `bigEndian` flags
+ *                of the payload layout, the `errorMode`, either 'stop' (default) or 'bestEffort', the
+ *                handling of the bytes after a malformed record, and the `ranges` per channel. When the
+ *                optional `trace` array is given an entry is appended for every record with its byte `offset`,
+ *                its `bytes`, the sensor type `name`, the `channel`, the `raw` integer, the `precision` it is
+ *                divided by and the decoded `value` (objects per field for sensor types with fields). The
+ *                bytes that are not decoded because of a malformed record get an entry with their `offset`,
+ *                `bytes` and the `error`.
+ * @param onRecord The function called for every decoded record with an object with its byte `offset`,
+ *                 the `name` and `sensor` type, the `channel`, the decoded `value` and the same value as
+ *                 `decimal` `{ raw, scale }` pair (an object per field), see `scaleValue`. For GPS records
+ *                 `location` is true when the coordinates are within range, see `checkLocation`.
+ */
+function decodeRecords(bytes, diagnostics, options, onRecord) {
+    let sensorTypes = options.sensorTypes;
+
+    for (let i = 0; i < bytes.length;) {
+        let offset = i;
+        let type;
+        let channel;
+        if (options.channelFirst) {
+            channel = bytes[i++];
+            type = bytes[i++];
+            if (i > bytes.length) {
+                reportMalformed(bytes, offset, bytes.length, diagnostics, options,
+                    "Truncated record at byte " + offset + ": channel " + channel + " without type");
                 break;
-            case SensorTypes.HUM_SENS.type:
-                decodeResult = decodeValue(bytes, i, SensorTypes.HUM_SENS.signed,
-                    SensorTypes.HUM_SENS.precision, SensorTypes.HUM_SENS.bytes);
+            }
+        } else {
+            type = bytes[i++];
+            channel = bytes[i++];
+        }
+        let name = findSensorType(type, sensorTypes);
+
+        if (name === null) {
+            i = (options.errorMode === 'bestEffort') ? offset + 1 : bytes.length;
+            reportMalformed(bytes, offset, i, diagnostics, options, "Unknown type: " + type);
+            continue;
+        }
+        if (i > bytes.length) {
+            reportMalformed(bytes, offset, bytes.length, diagnostics, options,
+                "Truncated record at byte " + offset + ": " + name + " without channel");
+            break;
+        }
+
+        let sensor = sensorTypes[name];
+        let length = recordLength(sensor);
+        if (i + length > bytes.length) {
+            reportMalformed(bytes, offset, bytes.length, diagnostics, options,
+                "Truncated record at byte " + offset + ": " + name + " channel " + channel + " needs "
+                + length + " bytes, " + (bytes.length - i) + " available");
+            break;
+        }
+
+        let decodeResult;
+        let value;
+        let raw;
+        let precision;
+        let decimal;
+        if (sensor.fields) {
+            value = {};
+            raw = {};
+            precision = {};
+            decimal = {};
+            for (let field of sensor.fields) {
+                decodeResult = decodeValue(bytes, i, field.signed, field.precision, field.bytes, options.bigEndian);
                 i = decodeResult.index;
-                decoded['humidity_' + channel] = decodeResult.value;
-                break;
-            case SensorTypes.ACCRM_SENS.type:
-                let accDecodeX = decodeValue(bytes, i, SensorTypes.ACCRM_SENS.signed, SensorTypes.ACCRM_SENS.precision, SensorTypes.ACCRM_SENS.bytes / 3);
-                i = accDecodeX.index;
-                let accDecodeY = decodeValue(bytes, i, SensorTypes.ACCRM_SENS.signed, SensorTypes.ACCRM_SENS.precision, SensorTypes.ACCRM_SENS.bytes / 3);
-                i = accDecodeY.index;
-                let accDecodeZ = decodeValue(bytes, i, SensorTypes.ACCRM_SENS.signed, SensorTypes.ACCRM_SENS.precision, SensorTypes.ACCRM_SENS.bytes / 3);
-                i = accDecodeZ.index;
-                decoded['accelerometer_' + channel] = {
-                    x: accDecodeX.value,
-                    y: accDecodeY.value,
-                    z: accDecodeZ.value
-                };
-                break;
-            case SensorTypes.BARO_SENS.type:
-                let baroDecode = decodeValue(bytes, i, SensorTypes.BARO_SENS.signed, SensorTypes.BARO_SENS.precision, SensorTypes.BARO_SENS.bytes);
-                i = baroDecode.index;
-                decoded['barometer_' + channel] = baroDecode.value;
-                break;
+                value[field.name] = decodeResult.value;
+                raw[field.name] = decodeResult.raw;
+                precision[field.name] = field.precision;
+                decimal[field.name] = decodeResult.decimal;
+            }
+        } else {
+            decodeResult = decodeValue(bytes, i, sensor.signed, sensor.precision, sensor.bytes, options.bigEndian);
+            i = decodeResult.index;
+            value = decodeResult.value;
+            raw = decodeResult.raw;
+            precision = sensor.precision;
+            decimal = decodeResult.decimal;
+        }
+        if (options.trace) {
+            options.trace.push({ offset: offset, bytes: bytes.slice(offset, i), name: name, channel: channel,
+                raw: raw, precision: precision, value: value });
+        }
+        let record = { offset: offset, name: name, sensor: sensor, channel: channel, value: value, decimal: decimal };
+        checkRange(record, diagnostics, options.ranges);
+        if (sensor.type === SensorTypes.GPS_LOC.type) {
+            record.location = checkLocation(record, diagnostics);
+        }
+        onRecord(record);
+    }
+}
 
-            case SensorTypes.GYRO_SENS.type:
-                let gyroDecodeX = decodeValue(bytes, i, SensorTypes.GYRO_SENS.signed, SensorTypes.GYRO_SENS.precision, SensorTypes.GYRO_SENS.bytes / 3);
-                i = gyroDecodeX.index;
-                let gyroDecodeY = decodeValue(bytes, i, SensorTypes.GYRO_SENS.signed, SensorTypes.GYRO_SENS.precision, SensorTypes.GYRO_SENS.bytes / 3);
-                i = gyroDecodeY.index;
-                let gyroDecodeZ = decodeValue(bytes, i, SensorTypes.GYRO_SENS.signed, SensorTypes.GYRO_SENS.precision, SensorTypes.GYRO_SENS.bytes / 3);
-                i = gyroDecodeZ.index;
-                decoded['gyroscope_' + channel] = {
-                    x: gyroDecodeX.value,
-                    y: gyroDecodeY.value,
-                    z: gyroDecodeZ.value
-                };
-                break;
-            case SensorTypes.GPS_LOC.type:
-                let gpsDecodeX = decodeValue(bytes, i, SensorTypes.GPS_LOC.signed, SensorTypes.GPS_LOC.precision, SensorTypes.GPS_LOC.bytes / 3);
-                i = gpsDecodeX.index;
-                let gpsDecodeY = decodeValue(bytes, i, SensorTypes.GPS_LOC.signed, SensorTypes.GPS_LOC.precision, SensorTypes.GPS_LOC.bytes / 3);
-                i = gpsDecodeY.index;
-                let gpsDecodeZ = decodeValue(bytes, i, SensorTypes.GPS_LOC.signed, SensorTypes.GPS_LOC.precision / 100, SensorTypes.GPS_LOC.bytes / 3);
-                i = gpsDecodeZ.index;
-                decoded['gps_' + channel] = {
-                    x: gpsDecodeX.value,
-                    y: gpsDecodeY.value,
-                    z: gpsDecodeZ.value
-                };
-                break;
-            default: // Unknown data type
-                decoded.errors = ["Unknown type: " + type];
-                i = bytes.length; // Skip the rest of the payload
-                break;
+/**
+ * @brief Reports a malformed record as an error and traces the bytes that are skipped because of it.
+ *
+ * @param bytes An array of bytes representing the payload being decoded.
+ * @param offset The index of the first byte of the malformed record.
+ * @param end The index of the byte at which decoding continues, the length of `bytes` when it stops.
+ * @param diagnostics An object with the `warnings` and `errors` arrays to which the error is appended.
+ * @param options The decoding options with the optional `trace` array, see `decodeRecords`.
+ * @param error The error message.
+ */
+function reportMalformed(bytes, offset, end, diagnostics, options, error) {
+    diagnostics.errors.push(error);
+    if (options.trace) {
+        options.trace.push({ offset: offset, bytes: bytes.slice(offset, end), error: error });
+    }
+}
+
+/**
+ * @brief Checks the values of a record against their plausible range.
+ *
+ * The range of a value is the `range` of its sensor type or field, unless `ranges` has an entry for its
+ * key: `temperature_1` for a sensor type with a single value, `accelerometer_1.x` for a field. An entry
+ * of `null` disables the check. A value outside its range adds a warning naming the key and the value.
+ *
+ * @param record A record as passed to the `onRecord` function of `decodeRecords`.
+ * @param diagnostics An object with the `warnings` and `errors` arrays to which problems are appended.
+ * @param ranges An optional object with `{ min, max }` ranges per key, e.g. `{ temperature_1: { min: 0, max: 60 } }`.
+ */
+function checkRange(record, diagnostics, ranges) {
+    let key = record.sensor.key + '_' + record.channel;
+    let checks = [];
+
+    if (record.sensor.fields) {
+        for (let field of record.sensor.fields) {
+            checks.push({ key: key + '.' + field.name, value: record.value[field.name], range: field.range });
         }
+    } else {
+        checks.push({ key: key, value: record.value, range: record.sensor.range });
     }
-    return decoded;
+
+    for (let check of checks) {
+        let range = (ranges && ranges.hasOwnProperty(check.key)) ? ranges[check.key] : check.range;
+        if (range && (check.value < range.min || check.value > range.max)) {
+            diagnostics.warnings.push("Value out of range: " + check.key + " = " + check.value
+                + " (" + range.min + ".." + range.max + ")");
+        }
+    }
+}
+
+/**
+ * @brief Checks the coordinates of a GPS record.
+ *
+ * A latitude beyond +/-90 degrees or a longitude beyond +/-180 degrees adds a warning naming the key and
+ * the value, the reading itself is still decoded.
+ *
+ * @param record A GPS record as passed to the `onRecord` function of `decodeRecords`.
+ * @param diagnostics An object with the `warnings` and `errors` arrays to which problems are appended.
+ * @return True when the coordinates are within range.
+ */
+function checkLocation(record, diagnostics) {
+    let key = record.sensor.key + '_' + record.channel;
+    let valid = true;
+
+    if (!(Math.abs(record.value.latitude) <= 90)) {
+        diagnostics.warnings.push("Location out of range: " + key + " latitude = " + record.value.latitude);
+        valid = false;
+    }
+    if (!(Math.abs(record.value.longitude) <= 180)) {
+        diagnostics.warnings.push("Location out of range: " + key + " longitude = " + record.value.longitude);
+        valid = false;
+    }
+    return valid;
+}
+
+/**
+ * @brief Sets the location fields of the decoded payload.
+ *
+ * @param decoded The object with the decoded sensor values.
+ * @param value The value of a GPS reading with `latitude`, `longitude` and `altitude`.
+ */
+function setLocation(decoded, value) {
+    decoded.latitude = value.latitude;
+    decoded.longitude = value.longitude;
+    decoded.altitude = value.altitude;
+}
+
+/**
+ * @brief Formats the value of a decoded record for the output.
+ *
+ * @param record A record as passed to the `onRecord` function of `decodeRecords`.
+ * @param options The decoding options. With `valueFormat` 'decimal' the value is the `decimal` pair of the
+ *                record, or an object with a pair per field. With `gpsFormat` 'geojson' a GPS value becomes
+ *                a GeoJSON Point `{ type: 'Point', coordinates: [longitude, latitude, altitude] }`, with `output`
+ *                'structured' the value is described by `structureReading`.
+ * @return The value to add to the decoded payload.
+ */
+function readingValue(record, options) {
+    let value = (options.valueFormat === 'decimal') ? record.decimal : record.value;
+    if (options.gpsFormat === 'geojson' && record.sensor.type === SensorTypes.GPS_LOC.type) {
+        value = { type: 'Point', coordinates: [value.longitude, value.latitude, value.altitude] };
+    }
+    return (options.output === 'structured') ? structureReading(record, value) : value;
+}
+
+/**
+ * @brief Describes a decoded record with its sensor metadata.
+ *
+ * @param record A record as passed to the `onRecord` function of `decodeRecords`.
+ * @param value The formatted value of the record.
+ * @return An object with the following structure:
+ *         {
+ *           channel: <channel>,            // Integer channel of the reading
+ *           type: <type>,                  // Integer LPP type identifier
+ *           ipso: <object_id>,             // Integer IPSO object identifier, LPP type + 3200
+ *           sensor: <name>,                // Name of the sensor type, e.g. 'TEMP_SENS'
+ *           unit: <unit>,                  // Unit string, an object with the unit per field, or null
+ *           value: <value>,                // The scaled value, as in the default output
+ *         }
+ */
+function structureReading(record, value) {
+    let unit = record.sensor.unit || null;
+    if (unit === null && record.sensor.fields) {
+        unit = {};
+        for (let field of record.sensor.fields) {
+            unit[field.name] = field.unit || null;
+        }
+    }
+
+    return {
+        channel: record.channel,
+        type: record.sensor.type,
+        ipso: record.sensor.type + 3200,
+        sensor: record.name,
+        unit: unit,
+        value: value
+    };
+}
+
+/**
+ * @brief Adds a decoded reading to the `decoded` object.
+ *
+ * @param decoded The object with the decoded sensor values.
+ * @param diagnostics An object with the `warnings` and `errors` arrays to which problems are appended.
+ * @param key The key of the reading, e.g. `temperature_1`.
+ * @param value The decoded value of the reading.
+ * @param offset The byte offset of the record, used in the warning for a duplicate key.
+ */
+function addReading(decoded, diagnostics, key, value, offset) {
+    if (decoded.hasOwnProperty(key)) {
+        diagnostics.warnings.push("Duplicate key at byte " + offset + ": " + key + " overwrites an earlier reading");
+    }
+    decoded[key] = value;
+}
+
+/**
+ * @brief Looks up the name of a sensor type by its numeric identifier.
+ *
+ * @param type The numeric identifier of the sensor type, e.g. `103`.
+ * @param sensorTypes The mapping of sensor types to search, e.g. `SensorTypes`.
+ * @return The name of the sensor type in `sensorTypes`, e.g. `'TEMP_SENS'`, or `null` when it is unknown.
+ */
+function findSensorType(type, sensorTypes) {
+    for (let name in sensorTypes) {
+        if (sensorTypes[name].type === type) {
+            return name;
+        }
+    }
+    return null;
+}
+
+/**
+ * @brief Converts the `bytes` of an uplink into an array of byte values.
+ *
+ * An array is checked to hold only integers from 0 to 255. A Uint8Array, which includes a Node.js Buffer,
+ * is copied into an array. A string is decoded with the given `encoding`, 'hex' or 'base64'. Without
+ * encoding only the unambiguous forms are accepted: hex with `0x` prefixes or with whitespace, commas or
+ * colons between the bytes, and base64 with a character that is not a hex digit, e.g. `ZwEDAQ==`. A string
+ * of hex digits only, like `AAED`, can be either and is reported as an error. Strings are decoded without
+ * depending on `Buffer` or `atob`, which the payload formatter runtime of The Things Stack does not have.
+ *
+ * @param bytes The `bytes` of the input of `decodeUplink`.
+ * @param encoding The optional `encoding` of the input of `decodeUplink`, for a string.
+ * @return The array of byte values, or an object with an `error` string when `bytes` is not a payload.
+ */
+function payloadBytes(bytes, encoding) {
+    if (typeof Uint8Array !== 'undefined' && bytes instanceof Uint8Array) {
+        return Array.prototype.slice.call(bytes);
+    }
+    if (typeof bytes === 'string') {
+        return stringBytes(bytes, encoding);
+    }
+    if (!Array.isArray(bytes)) {
+        return { error: "Invalid payload: expected an array of bytes, got " + (bytes === null ? 'null' : typeof bytes) };
+    }
+    for (let i = 0; i < bytes.length; i++) {
+        if (typeof bytes[i] !== 'number' || !Number.isInteger(bytes[i]) || bytes[i] < 0 || bytes[i] > 255) {
+            let found = (typeof bytes[i] === 'string') ? JSON.stringify(bytes[i]) : String(bytes[i]);
+            return { error: "Invalid payload: byte " + i + " is " + found + ", expected an integer from 0 to 255" };
+        }
+    }
+    return bytes;
+}
+
+/**
+ * @brief Decodes a hex or base64 payload string, see `payloadBytes`.
+ */
+function stringBytes(text, encoding) {
+    let trimmed = text.trim();
+    let hexForm = /^(0x)?[0-9a-f]+([\s,:]+(0x)?[0-9a-f]+)*,?$/i.test(trimmed) && /0x|[\s,:]/i.test(trimmed);
+    let base64Form = /^[A-Za-z0-9+/]*={0,2}$/.test(trimmed) && /[^0-9a-fA-F]/.test(trimmed) && !/^0x/i.test(trimmed);
+
+    if (encoding !== undefined && encoding !== 'hex' && encoding !== 'base64') {
+        return { error: "Invalid payload encoding: " + encoding + ", expected 'hex' or 'base64'" };
+    }
+    if (trimmed === '') {
+        return [];
+    }
+    if (encoding === undefined && !hexForm && !base64Form) {
+        return /^[0-9a-fA-F]+$/.test(trimmed)
+            ? { error: "Invalid payload: " + trimmed + " can be hex or base64, set the encoding" }
+            : { error: "Invalid payload: string is neither hex nor base64" };
+    }
+
+    let bytes = [];
+    if (encoding === 'hex' || (encoding === undefined && hexForm)) {
+        let hex = trimmed.replace(/0x/gi, '').replace(/[\s,:]/g, '');
+        if (!/^([0-9a-fA-F]{2})*$/.test(hex)) {
+            return { error: "Invalid payload: string is not hex" };
+        }
+        for (let i = 0; i < hex.length; i += 2) {
+            bytes.push(parseInt(hex.substr(i, 2), 16));
+        }
+        return bytes;
+    }
+
+    let base64 = trimmed.replace(/\s/g, '').replace(/=+$/, '');
+    if (!/^[A-Za-z0-9+/]*$/.test(base64) || base64.length % 4 === 1) {
+        return { error: "Invalid payload: string is not base64" };
+    }
+    const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+    let buffer = 0;
+    let bits = 0;
+    for (let i = 0; i < base64.length; i++) {
+        buffer = buffer * 64 + alphabet.indexOf(base64.charAt(i));
+        bits += 6;
+        if (bits >= 8) {
+            bits -= 8;
+            bytes.push(Math.floor(buffer / Math.pow(2, bits)));
+            buffer %= Math.pow(2, bits);
+        }
+    }
+    return bytes;
+}
+
+/**
+ * @brief Looks up the payload processor for an uplink.
+ *
+ * @param fPort The fPort of the uplink.
+ * @param bytes The payload of the uplink, its first byte is used for entries with a `versionByte` table.
+ * @param additional An optional mapping of fPorts to payload processors that takes precedence over
+ *                   `PayloadVersions`.
+ * @return The payload processor with `versionByte` set to true when it was selected by the version byte,
+ *         or an object with an `error` string when no payload processor is registered.
+ */
+function findPayloadProcessor(fPort, bytes, additional) {
+    let entry = (additional && additional.hasOwnProperty(fPort)) ? additional[fPort]
+        : PayloadVersions.hasOwnProperty(fPort) ? PayloadVersions[fPort] : null;
+
+    if (entry === null) {
+        return { error: "Payload Version not supported: " + fPort };
+    }
+    if (!entry.versionByte) {
+        return entry;
+    }
+    if (bytes.length === 0 || !entry.versionByte.hasOwnProperty(bytes[0])) {
+        return { error: "Payload Version not supported: " + fPort + " version byte " + bytes[0] };
+    }
+    let processor = entry.versionByte[bytes[0]];
+    return { version: processor.version, process: processor.process, layout: processor.layout, versionByte: true };
+}
+
+/**
+ * @brief Looks up the device profile for an uplink.
+ *
+ * @param id The profile id of the input, or undefined to select the profile by fPort.
+ * @param fPort The fPort of the uplink.
+ * @param additional An optional mapping of profile ids to profiles that takes precedence over `DeviceProfiles`.
+ * @return The profile, `null` when no profile applies, or an object with an `error` string for an unknown id.
+ */
+function findDeviceProfile(id, fPort, additional) {
+    let profiles = Object.assign({}, DeviceProfiles, additional);
+
+    if (id !== undefined && id !== null) {
+        return profiles.hasOwnProperty(id) ? profiles[id] : { error: "Device profile not supported: " + id };
+    }
+    for (let name in profiles) {
+        if (profiles[name].fPorts && profiles[name].fPorts.indexOf(fPort) !== -1) {
+            return profiles[name];
+        }
+    }
+    return null;
+}
+
+/**
+ * @brief Renames and calibrates the readings of the decoded payload with a device profile.
+ *
+ * For every channel of the profile the reading is calibrated first and then renamed, the structured output
+ * keeps its metadata with the calibrated `value` and the `unit` of the profile. A required channel without
+ * reading adds a warning, an invalid calibration an error. The `samples` of a history payload are
+ * calibrated but keep their channel and type.
+ *
+ * @param decoded The object with the decoded sensor values.
+ * @param diagnostics An object with the `warnings` and `errors` arrays to which problems are appended.
+ * @param profile The device profile, an entry of `DeviceProfiles`.
+ * @param sensorTypes The sensor types the payload was decoded with, to find the key of a sample.
+ */
+function applyDeviceProfile(decoded, diagnostics, profile, sensorTypes) {
+    let channels = profile.channels || {};
+
+    for (let sample of decoded.samples || []) {
+        let name = findSensorType(sample.type, sensorTypes);
+        let channel = name && channels[sensorTypes[name].key + '_' + sample.channel];
+        if (channel && channel.calibration && typeof sample.value === 'number') {
+            let calibrated = calibrate(sample.value, channel.calibration);
+            sample.value = (calibrated === null) ? sample.value : calibrated;
+        }
+    }
+
+    for (let key in channels) {
+        let channel = channels[key];
+        if (!decoded.hasOwnProperty(key)) {
+            if (channel.required) {
+                diagnostics.warnings.push("Missing required channel: " + key
+                    + (channel.name ? " (" + channel.name + ")" : ""));
+            }
+            continue;
+        }
+
+        let reading = decoded[key];
+        let structured = reading !== null && typeof reading === 'object' && reading.hasOwnProperty('sensor');
+        if (channel.calibration) {
+            let value = structured ? reading.value : reading;
+            let calibrated = (typeof value === 'number') ? calibrate(value, channel.calibration) : null;
+            if (typeof value !== 'number') {
+                diagnostics.warnings.push("Calibration of " + key + " skipped: the value is not a number");
+            } else if (calibrated === null) {
+                diagnostics.errors.push("Invalid calibration of " + key + ": " + JSON.stringify(channel.calibration));
+            } else if (structured) {
+                reading.value = calibrated;
+            } else {
+                reading = calibrated;
+            }
+        }
+        if (structured && channel.unit) {
+            reading.unit = channel.unit;
+        }
+
+        if (channel.name && channel.name !== key) {
+            if (decoded.hasOwnProperty(channel.name)) {
+                diagnostics.warnings.push("Duplicate key: " + key + " renamed to " + channel.name
+                    + " overwrites an earlier reading");
+            }
+            delete decoded[key];
+            decoded[channel.name] = reading;
+        } else {
+            decoded[key] = reading;
+        }
+    }
+}
+
+/**
+ * @brief Applies the calibration of a device profile channel to a value, see `DeviceProfiles`.
+ *
+ * @return The calibrated value, rounded to the optional `decimals`, or `null` for an invalid calibration.
+ */
+function calibrate(value, calibration) {
+    let coefficients = (calibration.type === 'linear') ? [calibration.offset || 0, calibration.gain]
+        : (calibration.type === 'polynomial') ? calibration.coefficients : null;
+    if (!Array.isArray(coefficients) || coefficients.length === 0 || !coefficients.every(isFinite)
+        || coefficients.some(function (coefficient) { return typeof coefficient !== 'number'; })) {
+        return null;
+    }
+
+    let result = 0;
+    for (let i = coefficients.length - 1; i >= 0; i--) {
+        result = result * value + coefficients[i];
+    }
+    if (typeof calibration.decimals === 'number') {
+        let factor = Math.pow(10, calibration.decimals);
+        result = Math.round(result * factor) / factor;
+    }
+    return result;
+}
+
+/**
+ * @brief Combines `SensorTypes` with additional sensor types.
+ *
+ * An additional sensor type replaces the built-in sensor type with the same name or the same
+ * numeric identifier, other additional sensor types are added to the table.
+ *
+ * @param additional An optional mapping of sensor types in the same format as `SensorTypes`.
+ * @param base Optional, the mapping of sensor types to start from instead of `SensorTypes`.
+ * @return The mapping of sensor types to decode and encode with.
+ */
+function resolveSensorTypes(additional, base) {
+    base = base || SensorTypes;
+    if (!additional) {
+        return base;
+    }
+
+    let sensorTypes = {};
+    for (let name in base) {
+        if (!additional.hasOwnProperty(name) && findSensorType(base[name].type, additional) === null) {
+            sensorTypes[name] = base[name];
+        }
+    }
+    for (let name in additional) {
+        sensorTypes[name] = additional[name];
+    }
+    return sensorTypes;
+}
+
+/**
+ * @brief Calculates the number of data bytes of a sensor record.
+ *
+ * @param sensor The sensor type, an entry of `SensorTypes`.
+ * @return The sum of the bytes of all `fields`, or the `bytes` of a sensor type with a single value.
+ */
+function recordLength(sensor) {
+    if (!sensor.fields) {
+        return sensor.bytes;
+    }
+
+    let length = 0;
+    for (let field of sensor.fields) {
+        length += field.bytes;
+    }
+    return length;
 }
 
-module.exports = { SensorTypes, decodeUplink };
\ No newline at end of file
+module.exports = { SensorTypes, CommandTypes, PayloadVersions, PayloadLayouts, NormalizedPayload, DeviceProfiles,
+    decodeUplink, normalizeUplink, encodeDownlink, decodeDownlink, encodeValue, resolveSensorTypes, payloadBytes,
+    processPayloadVersion_ONE, processPayloadHistory };
\ No newline at end of file
@@ -0,0 +1,210 @@
+#!/usr/bin/env node
+/* This code is free software:
+ * you can redistribute it and/or modify it under the terms of a Creative
+ * Commons Attribution-NonCommercial 4.0 International License
+ * (http://creativecommons.org/licenses/by-nc/4.0/)
+ *
+ * Copyright (c) 2024 March by Klaasjan Wagenaar, Tristan Bosveld and Richard Kroesen
+ */
+
+const fs = require('fs');
+const { decodeUplink, SensorTypes, payloadBytes } = require('./decoder_cayenneLPP_extreme');
+const { uplinkInput, readProfile } = require('./decoder_input');
+
+const USAGE = [
+    "Usage: node decoder_cli.js [options] [payload | file]",
+    "",
+    "Decodes a payload given as hex (spaces, commas and 0x allowed), base64 or a TTN uplink webhook JSON",
+    "message. Without payload argument the payload is read from stdin. A payload of hex digits only, like",
+    "0401, can be hex as well as base64 and needs --encoding.",
+    "",
+    "Options:",
+    "  --fport <n>       fPort of a hex or base64 payload (default 1)",
+    "  --encoding <e>    encoding of the payload, hex or base64",
+    "  --annotate        print a per-byte annotation instead of the decoded JSON",
+    "  --profile <f>     apply the device profile JSON file f, see DeviceProfiles",
+    "  --help            print this help",
+    "",
+    "The exit code is 1 when the payload has decode errors and 2 for invalid arguments or input."
+].join("\n");
+
+/**
+ * @brief Parses a payload given as text into the input of `decodeUplink`.
+ *
+ * Accepted are TTN v3 uplink webhook messages, of which `uplink_message.frm_payload`, `f_port` and
+ * `received_at` are used, and hex and base64 strings, which are read by `payloadBytes` of the decoder with
+ * the same rules as the `bytes` of `decodeUplink`.
+ *
+ * @param text The payload text.
+ * @param fPort The fPort for hex and base64 payloads.
+ * @param encoding Optional, 'hex' or 'base64', the encoding of a payload string that can be either.
+ * @return The input for `decodeUplink`, an object with `bytes`, `fPort` and optionally `recvTime`.
+ * @throws Error when the text is not a valid payload.
+ */
+function parsePayload(text, fPort, encoding) {
+    let trimmed = text.trim();
+
+    if (trimmed.charAt(0) === '{') {
+        let message;
+        try {
+            message = JSON.parse(trimmed);
+        } catch (err) {
+            throw new Error("Invalid JSON: " + err.message);
+        }
+        return uplinkInput(message);
+    }
+
+    let bytes = payloadBytes(trimmed, encoding);
+    if (bytes.error) {
+        throw new Error(bytes.error);
+    }
+    return { bytes: bytes, fPort: fPort };
+}
+
+/**
+ * @brief Describes every record of a payload in the style of the README byte string overview.
+ *
+ * The annotation is built from the `trace` of `decodeUplink`: the header and data bytes of every record
+ * with the raw integer, the precision and the value, and the bytes left undecoded after a malformed record.
+ *
+ * @param input The input for `decodeUplink`.
+ * @return The annotation as text, followed by the errors and warnings of the decoded result.
+ */
+function annotatePayload(input) {
+    let result = decodeUplink(Object.assign({}, input, { trace: true }));
+    let lines = ["fPort " + input.fPort + ", " + input.bytes.length + " bytes: " + toHex(input.bytes, '')];
+
+    if (result.trace) {
+        lines.push("");
+        for (let entry of result.trace) {
+            if (entry.error) {
+                lines.push(pad(toHex(entry.bytes, ', ')) + "not decoded: " + entry.error);
+                continue;
+            }
+            let sensor = (input.sensorTypes && input.sensorTypes[entry.name]) || SensorTypes[entry.name];
+            let unit = (sensor && typeof sensor.unit === 'string') ? " " + sensor.unit : "";
+
+            lines.push(pad(toHex(entry.bytes.slice(0, 2), ', ')) + entry.name + " sensor type with channel "
+                + entry.channel);
+            lines.push(pad(toHex(entry.bytes.slice(2), ', ')) + describeValue(entry) + unit);
+        }
+    }
+
+    if (result.errors.length > 0 || result.warnings.length > 0) {
+        lines.push("");
+    }
+    for (let error of result.errors) {
+        lines.push("error: " + error);
+    }
+    for (let warning of result.warnings) {
+        lines.push("warning: " + warning);
+    }
+    return lines.join("\n");
+}
+
+/**
+ * @brief Describes how the value of a traced record follows from its raw integer, e.g. `259 / 10 = 25.9`.
+ */
+function describeValue(entry) {
+    if (typeof entry.raw !== 'object') {
+        return (entry.precision === 1) ? String(entry.value) : entry.raw + " / " + entry.precision + " = " + entry.value;
+    }
+    return Object.keys(entry.raw).map(function (field) {
+        return field + ": " + describeValue({ raw: entry.raw[field], precision: entry.precision[field],
+            value: entry.value[field] });
+    }).join(", ");
+}
+
+/**
+ * @brief Runs the command line tool.
+ *
+ * @param args The command line arguments, without the node executable and script.
+ * @param io An object with the functions `readStdin()`, `stdout(text)` and `stderr(text)`.
+ * @return The exit code: 0 on success, 1 when the payload has decode errors, 2 for invalid arguments or input.
+ */
+function run(args, io) {
+    let fPort = 1;
+    let encoding;
+    let annotate = false;
+    let source = null;
+    let profile = null;
+
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--help') {
+            io.stdout(USAGE + "\n");
+            return 0;
+        } else if (args[i] === '--annotate') {
+            annotate = true;
+        } else if (args[i] === '--profile' && i + 1 < args.length) {
+            try {
+                profile = readProfile(args[++i]);
+            } catch (err) {
+                io.stderr(err.message + "\n");
+                return 2;
+            }
+        } else if (args[i] === '--encoding' && i + 1 < args.length) {
+            encoding = args[++i];
+        } else if (args[i] === '--fport') {
+            fPort = Number(args[++i]);
+            if (!Number.isInteger(fPort) || fPort < 1 || fPort > 255) {
+                io.stderr("Invalid fPort: " + args[i] + "\n");
+                return 2;
+            }
+        } else if (args[i].indexOf('--') === 0 || source !== null) {
+            io.stderr("Unknown argument: " + args[i] + "\n" + USAGE + "\n");
+            return 2;
+        } else {
+            source = args[i];
+        }
+    }
+
+    let input;
+    try {
+        let text = (source === null) ? io.readStdin()
+            : fs.existsSync(source) ? fs.readFileSync(source, 'utf8') : source;
+        input = parsePayload(text, fPort, encoding);
+    } catch (err) {
+        io.stderr(err.message + "\n");
+        return 2;
+    }
+    if (profile !== null) {
+        input.profile = profile.id;
+        input.profiles = { [profile.id]: profile.profile };
+    }
+
+    if (annotate) {
+        io.stdout(annotatePayload(input) + "\n");
+        return decodeUplink(input).errors.length > 0 ? 1 : 0;
+    }
+
+    let result = decodeUplink(input);
+    io.stdout(JSON.stringify(result, null, 2) + "\n");
+    return result.errors.length > 0 ? 1 : 0;
+}
+
+/**
+ * @brief Formats bytes as upper case hex, e.g. `0x67, 0x01` or `6701`.
+ */
+function toHex(bytes, separator) {
+    return bytes.map(function (byte) {
+        let hex = ('0' + byte.toString(16).toUpperCase()).slice(-2);
+        return separator ? '0x' + hex : hex;
+    }).join(separator);
+}
+
+/**
+ * @brief Pads a column of the annotation.
+ */
+function pad(text) {
+    return (text + "  ").padEnd(32);
+}
+
+if (require.main === module) {
+    process.exitCode = run(process.argv.slice(2), {
+        readStdin: function () { return fs.readFileSync(0, 'utf8'); },
+        stdout: function (text) { process.stdout.write(text); },
+        stderr: function (text) { process.stderr.write(text); }
+    });
+}
+
+module.exports = { parsePayload, annotatePayload, run };
@@ -0,0 +1,285 @@
+/* This code is free software:
+ * you can redistribute it and/or modify it under the terms of a Creative
+ * Commons Attribution-NonCommercial 4.0 International License
+ * (http://creativecommons.org/licenses/by-nc/4.0/)
+ *
+ * Copyright (c) 2024 March by Klaasjan Wagenaar, Tristan Bosveld and Richard Kroesen
+ */
+
+const { SensorTypes } = require('./decoder_cayenneLPP_extreme');
+
+/**
+ * @brief The sea level pressure of the standard atmosphere in hPa, the default reference of `pressure_altitude`.
+ */
+const StandardPressure = 1013.25;
+
+/**
+ * @brief Mapping of sensor types to the metrics derived from a single uplink, see `deriveUplink`.
+ *
+ * - `key`: The key of the derived metric, followed by the channel of the reading, e.g. `dewpoint_1`.
+ * - `unit`: The unit of the derived metric.
+ * - `decimals`: The number of decimals the derived metric is rounded to.
+ * - `derive`: The function that computes the metric from the reading, the readings of the uplink by key and
+ *   the options of `deriveUplink`. It returns `undefined` when the metric does not apply to the uplink and
+ *   `null` when the reading is invalid for the metric.
+ */
+const DerivedMetrics = {
+    ACCRM_SENS: { key: 'orientation', unit: '°', decimals: 1, derive: orientation },
+    GYRO_SENS: { key: 'angular_speed', unit: '°/s', decimals: 2, derive: magnitude },
+    HUM_SENS: { key: 'dewpoint', unit: '°C', decimals: 1, derive: dewPoint },
+    BARO_SENS: { key: 'pressure_altitude', unit: 'm', decimals: 1, derive: pressureAltitude }
+};
+
+/**
+ * @brief The sensor types of which the change between consecutive uplinks is derived by default.
+ */
+const DeltaSensorTypes = ['PRSNC_SENS'];
+
+/**
+ * @brief Creates a state store that keeps the previous readings of every device in memory.
+ *
+ * A store is any object with the functions `get(deviceId)`, which returns the state saved for the device or
+ * `undefined`, and `set(deviceId, state)`. The state is a plain JSON object, so a store can also keep it in a
+ * file or database. The device ids are kept in an object without prototype, so an id like `__proto__` is an
+ * ordinary device.
+ *
+ * @return An object with the functions `get(deviceId)` and `set(deviceId, state)`.
+ */
+function createMemoryStore() {
+    let devices = Object.create(null);
+
+    return {
+        get: function (deviceId) {
+            return (deviceId in devices) ? devices[deviceId] : undefined;
+        },
+        set: function (deviceId, state) {
+            devices[deviceId] = state;
+        }
+    };
+}
+
+/**
+ * @brief Computes the derived metrics of a decoded uplink.
+ *
+ * The metrics of `DerivedMetrics` are computed from the readings of the uplink: `orientation_N` from
+ * `accelerometer_N`, `angular_speed_N` from `gyroscope_N`, `dewpoint_N` from `humidity_N` and the
+ * `temperature_N` of the same channel, and `pressure_altitude_N` from `barometer_N`. With a `store` and a
+ * `deviceId` the readings of the sensor types in `deltas` are compared with the previous uplink of the device:
+ * `<key>_delta` is the signed change of the reading and `<key>_rate` the change per second, e.g.
+ * `presence_2_delta`. The readings of the sensor types in `resets` are counters: a decrease is a reset of the
+ * counter and adds a warning instead of a delta. An uplink older than the previous one adds a warning as well.
+ *
+ * @param result The result of `decodeUplink`, with plain, structured or decimal readings.
+ * @param options Optional settings: `store`, a store as created by `createMemoryStore`, `deviceId`, the device
+ *                the uplink came from, `receivedAt`, the time the uplink was received, `deltas`, the names of
+ *                the sensor types of which the deltas are derived (default `DeltaSensorTypes`), `resets`, the
+ *                names of the sensor types that are counters (default none), and `seaLevelPressure`, the reference pressure of the pressure altitude in hPa (default 1013.25).
+ * @return The result with the derived metrics as `derived`, keyed like the readings, and the warnings of the
+ *         derivation appended to `warnings`.
+ */
+function deriveUplink(result, options) {
+    options = options || {};
+    let readings = {};
+    let derived = {};
+    let warnings = [];
+
+    for (let key in result.data) {
+        readings[key] = plainValue(result.data[key]);
+    }
+
+    for (let name in DerivedMetrics) {
+        let metric = DerivedMetrics[name];
+        forEachReading(readings, name, function (key, channel) {
+            let value = metric.derive(readings[key], readings, channel, options);
+            if (value === undefined) {
+                return;
+            }
+            if (value === null) {
+                warnings.push("Derivation of " + metric.key + "_" + channel + " skipped: invalid " + key + " " +
+                    JSON.stringify(readings[key]));
+                return;
+            }
+            derived[metric.key + "_" + channel] = roundValue(value, metric.decimals);
+        });
+    }
+
+    if (options.store && options.deviceId !== undefined) {
+        deriveDeltas(readings, derived, warnings, options);
+    }
+
+    return Object.assign({}, result, {
+        derived: derived,
+        warnings: (result.warnings || []).concat(warnings)
+    });
+}
+
+/**
+ * @brief Compares the readings of the delta sensor types with the previous uplink of the device.
+ *
+ * The state of the device is `{ received_at, readings }`, with the latest `{ value, received_at }` of every
+ * delta reading. It is updated with the readings of this uplink unless the uplink is older than the previous
+ * one; readings missing from this uplink keep their previous value and time. Without a valid `receivedAt` the
+ * times of the state are kept, so the next timed uplink still gets its rates and its check for being late.
+ *
+ * @param readings The plain readings of the uplink, keyed like the decoded data.
+ * @param derived The object to which the deltas and rates are added.
+ * @param warnings The array to which problems are appended.
+ * @param options The options of `deriveUplink`.
+ */
+function deriveDeltas(readings, derived, warnings, options) {
+    let previous = options.store.get(options.deviceId);
+    let time = timeOf(options.receivedAt);
+    let receivedAt = isNaN(time) ? null : new Date(time).toISOString();
+    let resets = options.resets || [];
+
+    if (previous && time < timeOf(previous.received_at)) {
+        warnings.push("Deltas skipped: the uplink is older than the previous uplink of " + options.deviceId);
+        return;
+    }
+
+    let state = {
+        received_at: (receivedAt === null && previous) ? previous.received_at : receivedAt,
+        readings: Object.assign({}, previous ? previous.readings : {})
+    };
+    for (let name of options.deltas || DeltaSensorTypes) {
+        forEachReading(readings, name, function (key) {
+            let value = readings[key];
+            let last = state.readings[key];
+            if (typeof value !== 'number') {
+                return;
+            }
+            let readAt = (receivedAt === null && last) ? last.received_at : receivedAt;
+            state.readings[key] = { value: value, received_at: readAt };
+            if (!last) {
+                return;
+            }
+            let delta = value - last.value;
+            if (delta < 0 && resets.indexOf(name) >= 0) {
+                warnings.push("Delta of " + key + " skipped: the value decreased from " + last.value + " to " + value);
+                return;
+            }
+            derived[key + "_delta"] = roundValue(delta, 6);
+            let seconds = (time - timeOf(last.received_at)) / 1000;
+            if (seconds > 0) {
+                derived[key + "_rate"] = roundValue(delta / seconds, 6);
+            }
+        });
+    }
+    options.store.set(options.deviceId, state);
+}
+
+/**
+ * @brief Returns the milliseconds since the epoch of a time, or `NaN` without a valid time.
+ */
+function timeOf(value) {
+    return (value === undefined || value === null) ? NaN : new Date(value).getTime();
+}
+
+/**
+ * @brief Calls `callback(key, channel)` for every reading of a sensor type, in the order of the readings.
+ */
+function forEachReading(readings, name, callback) {
+    if (!SensorTypes.hasOwnProperty(name)) {
+        return;
+    }
+    let pattern = new RegExp('^' + SensorTypes[name].key + '_(\\d+)$');
+    for (let key in readings) {
+        let match = pattern.exec(key);
+        if (match) {
+            callback(key, Number(match[1]));
+        }
+    }
+}
+
+/**
+ * @brief Returns the number or object of numbers of a plain, structured or decimal reading.
+ */
+function plainValue(reading) {
+    if (reading === null || typeof reading !== 'object') {
+        return (typeof reading === 'bigint') ? Number(reading) : reading;
+    }
+    if (reading.hasOwnProperty('sensor')) {
+        return plainValue(reading.value);
+    }
+    if (reading.hasOwnProperty('raw') && reading.hasOwnProperty('scale')) {
+        return Number(reading.raw) / Math.pow(10, reading.scale);
+    }
+    let value = Array.isArray(reading) ? [] : {};
+    for (let field in reading) {
+        value[field] = plainValue(reading[field]);
+    }
+    return value;
+}
+
+/**
+ * @brief Rounds a number or the numbers of an object to a number of decimals.
+ */
+function roundValue(value, decimals) {
+    if (typeof value === 'object') {
+        let rounded = {};
+        for (let field in value) {
+            rounded[field] = roundValue(value[field], decimals);
+        }
+        return rounded;
+    }
+    let factor = Math.pow(10, decimals);
+    return Math.round(value * factor) / factor + 0;
+}
+
+/**
+ * @brief Computes the pitch, roll and tilt of an accelerometer at rest from the direction of gravity.
+ *
+ * @return `{ pitch, roll, tilt }` in degrees, the tilt being the angle between the z axis and the vertical,
+ *         or `null` without acceleration.
+ */
+function orientation(vector) {
+    let length = Math.sqrt(vector.x * vector.x + vector.y * vector.y + vector.z * vector.z);
+    if (!(length > 0)) {
+        return null;
+    }
+    let degrees = 180 / Math.PI;
+    return {
+        pitch: Math.atan2(-vector.x, Math.sqrt(vector.y * vector.y + vector.z * vector.z)) * degrees,
+        roll: Math.atan2(vector.y, vector.z) * degrees,
+        tilt: Math.acos(Math.max(-1, Math.min(1, vector.z / length))) * degrees
+    };
+}
+
+/**
+ * @brief Computes the length of a vector, e.g. the angular speed of a gyroscope.
+ */
+function magnitude(vector) {
+    return Math.sqrt(vector.x * vector.x + vector.y * vector.y + vector.z * vector.z);
+}
+
+/**
+ * @brief Computes the dew point of the humidity and the temperature of the same channel with the Magnus formula.
+ *
+ * @return The dew point in °C, `undefined` without a temperature of the channel, or `null` for a humidity
+ *         of 0 %RH.
+ */
+function dewPoint(humidity, readings, channel) {
+    let temperature = readings[SensorTypes.TEMP_SENS.key + "_" + channel];
+    if (typeof temperature !== 'number') {
+        return undefined;
+    }
+    if (!(humidity > 0)) {
+        return null;
+    }
+    let gamma = Math.log(Math.min(humidity, 100) / 100) + 17.62 * temperature / (243.12 + temperature);
+    return 243.12 * gamma / (17.62 - gamma);
+}
+
+/**
+ * @brief Computes the altitude of a pressure in the standard atmosphere.
+ *
+ * @return The altitude in m above the level of `options.seaLevelPressure`, or `null` for a pressure of 0 hPa.
+ */
+function pressureAltitude(pressure, readings, channel, options) {
+    if (!(pressure > 0)) {
+        return null;
+    }
+    return 44330 * (1 - Math.pow(pressure / (options.seaLevelPressure || StandardPressure), 1 / 5.255));
+}
+
+module.exports = { DerivedMetrics, DeltaSensorTypes, createMemoryStore, deriveUplink };
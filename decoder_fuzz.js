@@ -0,0 +1,709 @@
+#!/usr/bin/env node
+/* This code is free software:
+ * you can redistribute it and/or modify it under the terms of a Creative
+ * Commons Attribution-NonCommercial 4.0 International License
+ * (http://creativecommons.org/licenses/by-nc/4.0/)
+ *
+ * Copyright (c) 2024 March by Klaasjan Wagenaar, Tristan Bosveld and Richard Kroesen
+ */
+
+const { decodeUplink, encodeValue, PayloadLayouts } = require('./decoder_cayenneLPP_extreme');
+
+const USAGE = [
+    "Usage: node decoder_fuzz.js [options]",
+    "",
+    "Checks the properties of decodeUplink against random payloads generated from the sensor types.",
+    "Failing payloads are shrunk to a minimal reproduction in the format of samples.txt.",
+    "",
+    "Options:",
+    "  --seed <number>   seed of the first run (default random)",
+    "  --runs <number>   number of payloads per property (default 1000)",
+    "  --help            print this help",
+    "",
+    "The exit code is 1 when a property failed and 2 for invalid arguments."
+].join("\n");
+
+/**
+ * @brief Sensor types wider than the built-in ones, to exercise the 5 to 8 byte decoding.
+ */
+const WideSensorTypes = {
+    ENERGY_48: { type: 200, key: 'energy48', unit: 'Wh', precision: 1000, signed: false, bytes: 6 },
+    COUNTER_64: { type: 201, key: 'counter', precision: 1, signed: false, bytes: 8 },
+    OFFSET_64: { type: 202, key: 'offset', unit: 's', precision: 1000, signed: true, bytes: 8 },
+    POSITION_40: { type: 203, key: 'position', precision: 100, signed: true, bytes: 15,
+        fields: [
+            { name: 'x', precision: 100, signed: true, bytes: 5 },
+            { name: 'y', precision: 100, signed: true, bytes: 5 },
+            { name: 'z', precision: 100, signed: true, bytes: 5 }
+        ] }
+};
+
+/**
+ * @brief The payload layouts a generated payload is written in, with the fPort that decodes them.
+ */
+const FuzzLayouts = {
+    extreme: { fPort: 1, sensorTypes: Object.assign({}, PayloadLayouts.extreme.sensorTypes, WideSensorTypes) },
+    standard: { fPort: 2, sensorTypes: PayloadLayouts.standard.sensorTypes }
+};
+
+/**
+ * @brief Creates a seeded pseudo random number generator (mulberry32).
+ *
+ * The same seed always gives the same sequence, so a failing run can be repeated from its seed.
+ *
+ * @param seed An integer seed.
+ * @return An object with `next()`, a number from 0 (inclusive) to 1 (exclusive), `integer(min, max)`,
+ *         an integer from `min` to `max` inclusive, `pick(items)`, a random element, and `chance(p)`,
+ *         true with probability `p`.
+ */
+function createRandom(seed) {
+    let state = seed >>> 0;
+
+    function next() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    return {
+        next: next,
+        integer: function (min, max) { return min + Math.floor(next() * (max - min + 1)); },
+        pick: function (items) { return items[Math.floor(next() * items.length)]; },
+        chance: function (p) { return next() < p; }
+    };
+}
+
+/**
+ * @brief Generates a random value of a sensor type or field that fits its bytes.
+ *
+ * One value in five is an edge of the range (minimum, maximum, zero or minus one step), the others are
+ * uniform over the range with a fraction below half a step, which the encoding rounds away.
+ *
+ * @param random A generator of `createRandom`.
+ * @param definition A sensor type or field with `precision`, `signed` and `bytes`.
+ * @return The value, which `encodeValue` can encode.
+ */
+function randomValue(random, definition) {
+    let range = Math.pow(2, 8 * definition.bytes);
+    let min = definition.signed ? -range / 2 : 0;
+    let max = definition.signed ? range / 2 - 1 : range - 1;
+
+    for (;;) {
+        let raw = random.chance(0.2)
+            ? random.pick([min, max, 0, definition.signed ? -1 : 1])
+            : Math.floor(min + random.next() * (max - min + 1));
+        let value = (raw + (random.next() - 0.5) * 0.9) / definition.precision;
+        if (encodeValue(value, definition.signed, definition.precision, definition.bytes) !== null) {
+            return value;
+        }
+    }
+}
+
+/**
+ * @brief Generates a random record of a payload layout.
+ *
+ * @param random A generator of `createRandom`.
+ * @param layout The name of an entry of `FuzzLayouts`.
+ * @return An object with the sensor type `name`, the `channel` and the `value`, an object per field for
+ *         sensor types with fields.
+ */
+function randomRecord(random, layout) {
+    let sensorTypes = FuzzLayouts[layout].sensorTypes;
+    let name = random.pick(Object.keys(sensorTypes));
+    let sensor = sensorTypes[name];
+    let value;
+
+    if (sensor.fields) {
+        value = {};
+        for (let field of sensor.fields) {
+            value[field.name] = randomValue(random, field);
+        }
+    } else {
+        value = randomValue(random, sensor);
+    }
+    return { name: name, channel: random.integer(0, 255), value: value };
+}
+
+/**
+ * @brief Writes records in a payload layout, see `randomRecord`.
+ *
+ * @param records The records to write.
+ * @param layout The name of an entry of `FuzzLayouts`.
+ * @return An array with the bytes of every record, in the order of `records`.
+ */
+function recordBytes(records, layout) {
+    let sensorTypes = FuzzLayouts[layout].sensorTypes;
+    let bigEndian = PayloadLayouts[layout].bigEndian;
+
+    return records.map(function (record) {
+        let sensor = sensorTypes[record.name];
+        let bytes = PayloadLayouts[layout].channelFirst ? [record.channel, sensor.type] : [sensor.type, record.channel];
+        for (let field of sensor.fields || [sensor]) {
+            let value = sensor.fields ? record.value[field.name] : record.value;
+            let fieldBytes = encodeValue(value, field.signed, field.precision, field.bytes);
+            bytes = bytes.concat(bigEndian ? fieldBytes.reverse() : fieldBytes);
+        }
+        return bytes;
+    });
+}
+
+/**
+ * @brief Builds the `decodeUplink` input of a list of records.
+ */
+function recordsInput(records, layout) {
+    return {
+        fPort: FuzzLayouts[layout].fPort,
+        bytes: [].concat.apply([], recordBytes(records, layout)),
+        sensorTypes: (layout === 'extreme') ? WideSensorTypes : undefined,
+        trace: true
+    };
+}
+
+/**
+ * @brief Generates a payload of random valid records.
+ *
+ * @return An object with the `layout`, the `records` and the `input` for `decodeUplink`.
+ */
+function validPayload(random) {
+    let layout = random.pick(Object.keys(FuzzLayouts));
+    let records = [];
+    for (let count = random.integer(0, 6); count > 0; count--) {
+        records.push(randomRecord(random, layout));
+    }
+    return { layout: layout, records: records, input: recordsInput(records, layout) };
+}
+
+/**
+ * @brief Generates any input: random bytes, a mangled valid payload or invalid byte values, as an array,
+ *        a Uint8Array, a Buffer, a hex or base64 string or no payload at all, with a random fPort and random
+ *        decoding options, including invalid ones.
+ *
+ * @return An object with the `input` for `decodeUplink`.
+ */
+function anyPayload(random) {
+    let bytes;
+    let kind = random.integer(0, 4);
+
+    if (kind === 0) {
+        bytes = [];
+        for (let count = random.integer(0, 48); count > 0; count--) {
+            bytes.push(random.integer(0, 255));
+        }
+    } else if (kind === 4) {
+        bytes = random.pick([undefined, null, 42, {}, { 0: 0x67 }, '', '0x', 'AAED', '67-01', 'ZwED===', 'Zm9v!']);
+    } else {
+        bytes = validPayload(random).input.bytes;
+        for (let count = random.integer(1, 4); count > 0; count--) {
+            let at = random.integer(0, bytes.length);
+            let action = random.integer(0, 2);
+            if (action === 0) {
+                bytes.splice(at, 0, random.integer(0, 255));
+            } else if (action === 1) {
+                bytes.splice(at, random.integer(1, 4));
+            } else if (at < bytes.length) {
+                bytes[at] = random.integer(0, 255);
+            }
+        }
+        if (kind === 3 && bytes.length > 0) {
+            bytes[random.integer(0, bytes.length - 1)] = random.pick([256, -1, 1.5, NaN, null, '1']);
+        } else if (random.chance(0.4)) {
+            bytes = randomBytesForm(random, bytes);
+        }
+    }
+
+    let input = { fPort: random.pick([0, 1, 2, 3, 4, random.integer(0, 255)]), bytes: bytes };
+    if (random.chance(0.2)) {
+        input.encoding = random.pick(['hex', 'base64', 'utf8']);
+    }
+    if (random.chance(0.3)) {
+        input.errorMode = random.pick(['stop', 'bestEffort']);
+    }
+    if (random.chance(0.2)) {
+        input.layout = random.pick(['extreme', 'standard', 'unknown']);
+    }
+    if (random.chance(0.2)) {
+        input.sensorTypes = WideSensorTypes;
+    }
+    if (random.chance(0.3)) {
+        input.output = 'structured';
+    }
+    if (random.chance(0.3)) {
+        input.gpsFormat = 'geojson';
+    }
+    if (random.chance(0.3)) {
+        input.valueFormat = 'decimal';
+    }
+    if (random.chance(0.2)) {
+        input.ranges = randomRanges(random);
+    }
+    if (random.chance(0.2)) {
+        input.profiles = { fuzz: randomProfile(random) };
+        if (random.chance(0.5)) {
+            input.profile = random.pick(['fuzz', 'unknown']);
+        }
+    }
+    if (random.chance(0.5)) {
+        input.trace = true;
+    }
+    if (random.chance(0.3)) {
+        input.recvTime = random.pick([
+            new Date(random.integer(0, 4102444800) * 1000),
+            new Date(random.integer(0, 4102444800) * 1000).toISOString(),
+            random.integer(0, 4102444800) * 1000,
+            new Date(NaN),
+            'yesterday',
+            '',
+            1e20,
+            -1e20
+        ]);
+    }
+    return { input: input };
+}
+
+/**
+ * @brief Writes bytes as one of the other payload forms `decodeUplink` accepts: a Uint8Array, a Buffer, or
+ *        a hex or base64 string, unambiguous or not.
+ */
+function randomBytesForm(random, bytes) {
+    let hex = bytes.map(function (byte) { return ('0' + byte.toString(16)).slice(-2); });
+    switch (random.integer(0, 5)) {
+    case 0:
+        return new Uint8Array(bytes);
+    case 1:
+        return Buffer.from(bytes);
+    case 2:
+        return hex.join(random.pick([' ', ',', ':', ', ']));
+    case 3:
+        return random.pick(['0x', '0X']) + hex.join('');
+    case 4:
+        return hex.join('');
+    default:
+        return Buffer.from(bytes).toString('base64');
+    }
+}
+
+/**
+ * @brief Generates plausible ranges for the `ranges` option, including removed and inverted ranges.
+ */
+function randomRanges(random) {
+    let ranges = {};
+    for (let count = random.integer(1, 3); count > 0; count--) {
+        let key = random.pick(['temperature', 'humidity', 'analog', 'gps', 'counter']) + '_' + random.integer(0, 3);
+        let min = random.integer(-100, 100);
+        ranges[key] = random.chance(0.2) ? null : { min: min, max: min + random.integer(-10, 100) };
+    }
+    return ranges;
+}
+
+/**
+ * @brief Generates a device profile for the `profiles` option, with valid and invalid calibrations.
+ */
+function randomProfile(random) {
+    let channels = {};
+    for (let count = random.integer(1, 4); count > 0; count--) {
+        let name = random.pick(['temperature', 'analog', 'accelerometer', 'gps', 'digital']);
+        let key = name + '_' + random.integer(0, 3);
+        channels[key] = {
+            name: random.chance(0.5) ? random.pick(['reading', 'battery_v', 'temperature_1']) : undefined,
+            unit: random.chance(0.3) ? 'V' : undefined,
+            required: random.chance(0.3),
+            calibration: random.pick([
+                undefined,
+                { type: 'linear', gain: random.integer(-5, 5), offset: random.integer(-5, 5) / 10 },
+                { type: 'polynomial', coefficients: [1, random.integer(-3, 3), 0.5], decimals: random.integer(0, 3) },
+                { type: 'cubic' },
+                { type: 'linear', gain: 'x' }
+            ])
+        };
+    }
+    return { fPorts: [random.integer(0, 4)], channels: channels };
+}
+
+/**
+ * @brief Generates a payload that is guaranteed to be malformed: a valid payload with an unknown sensor
+ *        type inserted between two records, or with the last record cut short.
+ *
+ * @return An object with the `layout` and the `input` for `decodeUplink`.
+ */
+function garbagePayload(random) {
+    let payload = validPayload(random);
+    let layout = payload.layout;
+    let records = recordBytes(payload.records, layout);
+
+    if (records.length === 0 || random.chance(0.5)) {
+        let type;
+        do {
+            type = random.integer(0, 255);
+        } while (findSensorTypeName(type, layout) !== null);
+        let channel = random.integer(0, 255);
+        let header = PayloadLayouts[layout].channelFirst ? [channel, type] : [type, channel];
+        records.splice(random.integer(0, records.length), 0, header);
+    } else {
+        let last = records[records.length - 1];
+        records[records.length - 1] = last.slice(0, random.integer(1, last.length - 1));
+    }
+
+    let input = recordsInput([], layout);
+    input.bytes = [].concat.apply([], records);
+    return { layout: layout, input: input };
+}
+
+/**
+ * @brief Looks up the sensor type name of a type identifier in a fuzz layout, see `FuzzLayouts`.
+ */
+function findSensorTypeName(type, layout) {
+    let sensorTypes = FuzzLayouts[layout].sensorTypes;
+    for (let name in sensorTypes) {
+        if (sensorTypes[name].type === type) {
+            return name;
+        }
+    }
+    return null;
+}
+
+/**
+ * @brief Proposes smaller versions of a generated case, for `check` to shrink a failure.
+ *
+ * Cases with `records` shrink by leaving out records, zeroing channels and values, and halving values
+ * towards zero. Other cases shrink by leaving out decoding options, then, for bytes given as array, chunks
+ * of bytes, then by lowering byte values.
+ *
+ * @param testCase A case as generated by `validPayload`, `anyPayload` or `garbagePayload`.
+ * @return An array of smaller cases, simplest first.
+ */
+function shrinkCase(testCase) {
+    if (testCase.records) {
+        return shrinkRecords(testCase.records).map(function (records) {
+            return { layout: testCase.layout, records: records, input: recordsInput(records, testCase.layout) };
+        });
+    }
+
+    let bytes = testCase.input.bytes;
+    let withBytes = function (smaller) { return Object.assign({}, testCase.input, { bytes: smaller }); };
+    let candidates = [];
+    for (let key in testCase.input) {
+        if (key !== 'fPort' && key !== 'bytes' && (key !== 'sensorTypes' || !testCase.layout)) {
+            let input = Object.assign({}, testCase.input);
+            delete input[key];
+            candidates.push(input);
+        }
+    }
+    if (!Array.isArray(bytes)) {
+        return candidates.map(function (input) {
+            return { layout: testCase.layout, input: input };
+        });
+    }
+    for (let size = bytes.length; size >= 1; size = Math.floor(size / 2)) {
+        for (let at = 0; at + size <= bytes.length; at += size) {
+            candidates.push(withBytes(bytes.slice(0, at).concat(bytes.slice(at + size))));
+        }
+    }
+    bytes.forEach(function (byte, i) {
+        if (typeof byte === 'number' && byte > 0) {
+            for (let smaller of [0, Math.floor(byte / 2), byte - 1]) {
+                if (smaller < byte) {
+                    candidates.push(withBytes(bytes.slice(0, i).concat([smaller], bytes.slice(i + 1))));
+                }
+            }
+        }
+    });
+    return candidates.map(function (input) {
+        return { layout: testCase.layout, input: input };
+    });
+}
+
+/**
+ * @brief Proposes smaller lists of records, see `shrinkCase`.
+ */
+function shrinkRecords(records) {
+    let candidates = records.map(function (record, i) {
+        return records.slice(0, i).concat(records.slice(i + 1));
+    });
+
+    records.forEach(function (record, i) {
+        let replace = function (changed) {
+            candidates.push(records.slice(0, i).concat([Object.assign({}, record, changed)], records.slice(i + 1)));
+        };
+        if (record.channel !== 0) {
+            replace({ channel: 0 });
+        }
+        for (let simpler of [0, Math.trunc(record.value / 2)]) {
+            if (typeof record.value === 'number' && Math.abs(simpler) < Math.abs(record.value)) {
+                replace({ value: simpler });
+            }
+        }
+        if (typeof record.value === 'object') {
+            for (let field in record.value) {
+                if (record.value[field] !== 0) {
+                    replace({ value: Object.assign({}, record.value, { [field]: 0 }) });
+                }
+            }
+        }
+    });
+    return candidates;
+}
+
+/**
+ * @brief Checks a property against generated cases and shrinks the first failure.
+ *
+ * Run `n` generates its case with the seed `seed + n`, so a failure is repeated with `runs: 1` and the
+ * reported seed. A property fails when it throws or returns a string describing the problem.
+ *
+ * @param generate The function `(random)` that generates a case, e.g. `validPayload`.
+ * @param property The function `(testCase)` that checks a case.
+ * @param options Optional settings: `seed` (default 1), `runs` (default 100) and `maxShrinks`, the
+ *                maximum number of smaller cases tried (default 2000).
+ * @return `null` when the property holds for every run, otherwise an object with the `seed` of the
+ *         failing run, the `original` and the shrunk `testCase`, the `error` of the shrunk case and
+ *         the reproduction as `sample`, see `formatSample`.
+ */
+function check(generate, property, options) {
+    options = options || {};
+    let seed = (options.seed === undefined) ? 1 : options.seed;
+    let runs = options.runs || 100;
+    let maxShrinks = options.maxShrinks || 2000;
+
+    for (let run = 0; run < runs; run++) {
+        let original = generate(createRandom(seed + run));
+        let error = propertyError(property, original);
+        if (error === null) {
+            continue;
+        }
+
+        let testCase = original;
+        let tries = 0;
+        let shrunk = true;
+        while (shrunk && tries < maxShrinks) {
+            shrunk = false;
+            for (let candidate of shrinkCase(testCase)) {
+                if (++tries > maxShrinks) {
+                    break;
+                }
+                let candidateError = propertyError(property, candidate);
+                if (candidateError !== null) {
+                    testCase = candidate;
+                    error = candidateError;
+                    shrunk = true;
+                    break;
+                }
+            }
+        }
+        return {
+            seed: seed + run,
+            original: original,
+            testCase: testCase,
+            error: error,
+            sample: formatSample(testCase, error, seed + run)
+        };
+    }
+    return null;
+}
+
+/**
+ * @brief Runs a property on a case and returns its problem, `null` when it holds.
+ */
+function propertyError(property, testCase) {
+    try {
+        let problem = property(testCase);
+        return (typeof problem === 'string') ? problem : null;
+    } catch (err) {
+        return (err && err.message) ? err.message : String(err);
+    }
+}
+
+/**
+ * @brief Formats a failing case as an entry for `samples.txt`: the error as comment, the payload as
+ *        hex bytes and the result of `decodeUplink` as `decoded_payload`.
+ */
+function formatSample(testCase, error, seed) {
+    let input = testCase.input;
+    let bytes = Array.isArray(input.bytes) ? input.bytes.map(function (byte) {
+        return (typeof byte === 'number' && byte >= 0 && byte <= 255 && byte % 1 === 0)
+            ? ('0' + byte.toString(16).toUpperCase()).slice(-2) : JSON.stringify(byte);
+    }).join(' ') : JSON.stringify(input.bytes);
+    let options = Object.keys(input).filter(function (key) {
+        return key !== 'bytes' && key !== 'sensorTypes' && input[key] !== undefined;
+    }).map(function (key) {
+        return key + ': ' + JSON.stringify(input[key]);
+    });
+    if (input.sensorTypes) {
+        options.push('sensorTypes: ' + Object.keys(input.sensorTypes).join(', '));
+    }
+
+    let result;
+    try {
+        result = JSON.stringify(decodeUplink(input).data, null, 4);
+    } catch (err) {
+        result = JSON.stringify("decodeUplink threw: " + err.message);
+    }
+    return [
+        "// FUZZ (seed " + seed + "): " + error,
+        "// " + options.join(', '),
+        bytes,
+        "",
+        "\"decoded_payload\": " + result
+    ].join("\n");
+}
+
+/**
+ * @brief Converts the `bytes` of a decoded input to an array with Node.js `Buffer`, independent of the decoder.
+ *
+ * A string is hex with its `encoding` 'hex', or without encoding when it has a `0x` prefix or separators,
+ * and base64 otherwise; `decodeUplink` rejects the strings that are neither.
+ */
+function expectedBytes(input) {
+    if (typeof input.bytes !== 'string') {
+        return Array.from(input.bytes);
+    }
+    let text = input.bytes.trim();
+    if (input.encoding === 'hex' || (input.encoding === undefined && /^0x|[\s,:]/i.test(text))) {
+        return Array.from(Buffer.from(text.replace(/0x/gi, '').replace(/[\s,:]/g, ''), 'hex'));
+    }
+    return Array.from(Buffer.from(text, 'base64'));
+}
+
+/**
+ * @brief The properties `decodeUplink` must have, each with the generator of its cases.
+ */
+const Properties = {
+    resultShape: {
+        description: "decodeUplink never throws and returns the TTN result shape",
+        generate: anyPayload,
+        property: function (testCase) {
+            let result = decodeUplink(testCase.input);
+            let keys = ['decoder_version', 'data', 'warnings', 'errors'].concat(testCase.input.trace ? ['trace'] : []);
+            if (Object.keys(result).sort().join() !== keys.sort().join()) {
+                return "Result has the keys " + Object.keys(result).join(', ');
+            }
+            if (result.decoder_version !== null && !Number.isInteger(result.decoder_version)) {
+                return "decoder_version is " + result.decoder_version;
+            }
+            if (!result.data || typeof result.data !== 'object' || Array.isArray(result.data)) {
+                return "data is not an object";
+            }
+            for (let list of [result.warnings, result.errors]) {
+                if (!Array.isArray(list) || list.some(function (item) { return typeof item !== 'string'; })) {
+                    return "warnings and errors must be arrays of strings";
+                }
+            }
+            JSON.stringify(result.data);
+            return null;
+        }
+    },
+    traceCoverage: {
+        description: "the trace covers every byte of a decoded payload exactly once",
+        generate: anyPayload,
+        property: function (testCase) {
+            let input = Object.assign({}, testCase.input, { trace: true });
+            let result = decodeUplink(input);
+            if (result.decoder_version === null) {
+                return null;
+            }
+            let bytes = expectedBytes(input);
+            let offset = 0;
+            for (let entry of result.trace) {
+                if (entry.offset !== offset) {
+                    return "Trace entry at byte " + entry.offset + ", expected byte " + offset;
+                }
+                if (entry.bytes.join() !== bytes.slice(offset, offset + entry.bytes.length).join()) {
+                    return "Trace entry at byte " + offset + " has the bytes " + entry.bytes.join(' ');
+                }
+                offset += entry.bytes.length;
+            }
+            if (offset !== bytes.length) {
+                return "Trace ends at byte " + offset + " of " + bytes.length;
+            }
+            return null;
+        }
+    },
+    garbageErrors: {
+        description: "malformed payloads are reported as errors",
+        generate: garbagePayload,
+        property: function (testCase) {
+            let result = decodeUplink(testCase.input);
+            return (result.errors.length > 0) ? null : "Malformed payload decoded without errors";
+        }
+    },
+    roundTrip: {
+        description: "encoded values decode within the precision of their type",
+        generate: validPayload,
+        property: function (testCase) {
+            let result = decodeUplink(testCase.input);
+            if (result.errors.length > 0) {
+                return "Valid payload decoded with errors: " + result.errors.join('; ');
+            }
+            let sensorTypes = FuzzLayouts[testCase.layout].sensorTypes;
+            for (let i = 0; i < testCase.records.length; i++) {
+                let record = testCase.records[i];
+                let entry = result.trace[i];
+                if (entry.name !== record.name || entry.channel !== record.channel) {
+                    return "Record " + i + " decoded as " + entry.name + " channel " + entry.channel;
+                }
+                let sensor = sensorTypes[record.name];
+                for (let field of sensor.fields || [sensor]) {
+                    let expected = sensor.fields ? record.value[field.name] : record.value;
+                    let actual = sensor.fields ? entry.value[field.name] : entry.value;
+                    let tolerance = 0.5 / field.precision + Math.abs(expected) * 4 * Number.EPSILON;
+                    if (!(Math.abs(actual - expected) <= tolerance)) {
+                        return record.name + (sensor.fields ? "." + field.name : "") + " " + expected
+                            + " decoded as " + actual;
+                    }
+                }
+            }
+            return null;
+        }
+    }
+};
+
+/**
+ * @brief Runs the command line fuzzer.
+ *
+ * @param args The command line arguments, without the node executable and script.
+ * @param io An object with the `stdout` and `stderr` functions that write text.
+ * @return The exit code: 0 when every property holds, 1 when a property failed and 2 for invalid arguments.
+ */
+function run(args, io) {
+    let seed = Math.floor(Math.random() * 0x7FFFFFFF);
+    let runs = 1000;
+
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--help') {
+            io.stdout(USAGE + "\n");
+            return 0;
+        } else if ((args[i] === '--seed' || args[i] === '--runs') && /^[0-9]+$/.test(args[i + 1] || '')) {
+            if (args[i] === '--seed') {
+                seed = Number(args[++i]);
+            } else {
+                runs = Number(args[++i]);
+            }
+        } else {
+            io.stderr("Unknown argument: " + args[i] + "\n" + USAGE + "\n");
+            return 2;
+        }
+    }
+
+    let failed = 0;
+    for (let name in Properties) {
+        let failure = check(Properties[name].generate, Properties[name].property, { seed: seed, runs: runs });
+        if (failure === null) {
+            io.stdout("ok      " + name + ": " + Properties[name].description + "\n");
+        } else {
+            failed++;
+            io.stdout("FAILED  " + name + ": " + Properties[name].description + "\n\n" + failure.sample + "\n\n");
+        }
+    }
+    io.stdout(runs + " runs per property from seed " + seed + "\n");
+    return failed > 0 ? 1 : 0;
+}
+
+if (require.main === module) {
+    process.exitCode = run(process.argv.slice(2), {
+        stdout: function (text) { process.stdout.write(text); },
+        stderr: function (text) { process.stderr.write(text); }
+    });
+}
+
+module.exports = { WideSensorTypes, FuzzLayouts, Properties, createRandom, validPayload, anyPayload, garbagePayload,
+    shrinkCase, check, formatSample, run };
@@ -0,0 +1,59 @@
+/* This code is free software:
+ * you can redistribute it and/or modify it under the terms of a Creative
+ * Commons Attribution-NonCommercial 4.0 International License
+ * (http://creativecommons.org/licenses/by-nc/4.0/)
+ *
+ * Copyright (c) 2024 March by Klaasjan Wagenaar, Tristan Bosveld and Richard Kroesen
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { payloadBytes } = require('./decoder_cayenneLPP_extreme');
+
+/**
+ * @brief Reads a device profile JSON file, see `DeviceProfiles`.
+ *
+ * @param file The path of the profile file.
+ * @return An object with the profile `id`, its `id` property or else the file name without `.json`, and
+ *         the `profile`.
+ * @throws Error when the file is not a device profile.
+ */
+function readProfile(file) {
+    let profile;
+    try {
+        profile = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (err) {
+        throw new Error("Invalid device profile " + file + ": " + err.message);
+    }
+    let channels = profile && profile.channels;
+    if (!channels || typeof channels !== 'object' || Array.isArray(channels)) {
+        throw new Error("Invalid device profile " + file + ": channels is missing");
+    }
+    return { id: profile.id || path.basename(file, '.json'), profile: profile };
+}
+
+/**
+ * @brief Converts a TTN v3 uplink message into the input of `decodeUplink`.
+ *
+ * @param message The parsed uplink message, with `uplink_message.frm_payload` (base64), `uplink_message.f_port`
+ *                and the optional `received_at`.
+ * @return The input for `decodeUplink`, an object with `bytes`, `fPort` and optionally `recvTime`.
+ * @throws Error when the message has no base64 payload.
+ */
+function uplinkInput(message) {
+    let uplink = message && message.uplink_message;
+    if (!uplink || typeof uplink.frm_payload !== 'string') {
+        throw new Error("JSON is not a TTN uplink message: uplink_message.frm_payload is missing");
+    }
+    let bytes = payloadBytes(uplink.frm_payload, 'base64');
+    if (bytes.error) {
+        throw new Error(bytes.error);
+    }
+    let input = { bytes: bytes, fPort: uplink.f_port };
+    if (message.received_at) {
+        input.recvTime = new Date(message.received_at);
+    }
+    return input;
+}
+
+module.exports = { uplinkInput, readProfile };
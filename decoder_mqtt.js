@@ -0,0 +1,197 @@
+#!/usr/bin/env node
+/* This code is free software:
+ * you can redistribute it and/or modify it under the terms of a Creative
+ * Commons Attribution-NonCommercial 4.0 International License
+ * (http://creativecommons.org/licenses/by-nc/4.0/)
+ *
+ * Copyright (c) 2024 March by Klaasjan Wagenaar, Tristan Bosveld and Richard Kroesen
+ */
+
+const { decodeUplink } = require('./decoder_cayenneLPP_extreme');
+const { uplinkInput } = require('./decoder_input');
+
+/**
+ * @brief The Home Assistant device class, and the unit it requires, of the keys that have one.
+ */
+const DeviceClasses = {
+    temperature: { device_class: 'temperature' },
+    humidity: { device_class: 'humidity', unit: '%' },
+    barometer: { device_class: 'pressure' },
+    illumination: { device_class: 'illuminance', unit: 'lx' },
+    voltage: { device_class: 'voltage' },
+    current: { device_class: 'current' },
+    frequency: { device_class: 'frequency' },
+    power: { device_class: 'power' },
+    energy: { device_class: 'energy', state_class: 'total_increasing' },
+    distance: { device_class: 'distance' }
+};
+
+/**
+ * @brief Creates a bridge that republishes the readings of TTN uplinks on a topic per sensor.
+ *
+ * The bridge subscribes to `v3/<applicationId>/devices/+/up` of the TTN MQTT server and decodes every
+ * uplink with `decodeUplink`. Every decoded reading is published retained to
+ * `<topicPrefix>/<device_id>/<key>/<channel>`, e.g. `cayenne/node-1/temperature/1`, as JSON
+ * `{ value, unit, sensor, received_at }`. With `homeAssistant` set, a Home Assistant MQTT discovery
+ * config is published once for every reading of a device, or for every field of a reading with fields.
+ *
+ * The `client` is not created by the bridge, any client with the interface of the `mqtt` package works:
+ * `subscribe(topic)`, `publish(topic, message, { retain, qos })` and `on('message', (topic, payload) => {})`.
+ * Use one client for both the TTN server and the local broker when they are the same, otherwise the
+ * `publisher` option takes a second client for the local broker.
+ *
+ * @param client The MQTT client connected to the TTN MQTT server.
+ * @param options Settings: `applicationId` (required, e.g. 'my-app@ttn'), the optional `publisher` client,
+ *                `topicPrefix` (default 'cayenne'), `homeAssistant` (false by default), the
+ *                `discoveryPrefix` of Home Assistant (default 'homeassistant') and `onError(error, topic)`,
+ *                called for uplinks that can not be decoded.
+ * @return An object with the function `handleMessage(topic, payload)`, which is also subscribed to the
+ *         messages of `client`. It returns the topics published for the uplink.
+ */
+function createBridge(client, options) {
+    let publisher = options.publisher || client;
+    let topicPrefix = options.topicPrefix || 'cayenne';
+    let discoveryPrefix = options.discoveryPrefix || 'homeassistant';
+    let uplinkTopic = 'v3/' + options.applicationId + '/devices/+/up';
+    let discovered = {};
+
+    function publish(topic, message) {
+        publisher.publish(topic, JSON.stringify(message), { retain: true, qos: 1 });
+    }
+
+    function reportError(error, topic) {
+        if (options.onError) {
+            options.onError(error, topic);
+        }
+    }
+
+    function handleMessage(topic, payload) {
+        let match = /^v3\/[^/]+\/devices\/([^/]+)\/up$/.exec(topic);
+        if (!match) {
+            return [];
+        }
+
+        let message;
+        let result;
+        try {
+            message = JSON.parse(payload.toString());
+            result = decodeUplink(Object.assign(uplinkInput(message), { output: 'structured' }));
+        } catch (err) {
+            reportError(err.message, topic);
+            return [];
+        }
+
+        for (let error of result.errors) {
+            reportError(error, topic);
+        }
+
+        let deviceId = (message.end_device_ids && message.end_device_ids.device_id) || match[1];
+        let receivedAt = message.received_at || null;
+        let published = [];
+
+        for (let key in result.data) {
+            let reading = result.data[key];
+            if (!isReading(reading)) {
+                continue;
+            }
+            let name = key.slice(0, key.lastIndexOf('_'));
+            let stateTopic = topicPrefix + '/' + deviceId + '/' + name + '/' + reading.channel;
+
+            if (options.homeAssistant && !discovered[stateTopic]) {
+                discovered[stateTopic] = true;
+                for (let config of discoveryConfigs(deviceId, key, name, reading, stateTopic)) {
+                    publish(discoveryPrefix + '/sensor/' + deviceId + '/' + config.object_id + '/config', config);
+                    published.push(discoveryPrefix + '/sensor/' + deviceId + '/' + config.object_id + '/config');
+                }
+            }
+            publish(stateTopic, { value: reading.value, unit: reading.unit, sensor: reading.sensor, received_at: receivedAt });
+            published.push(stateTopic);
+        }
+        return published;
+    }
+
+    client.on('message', handleMessage);
+    client.subscribe(uplinkTopic);
+
+    return { handleMessage: handleMessage };
+}
+
+/**
+ * @brief Checks whether a decoded value is a structured reading, see `structureReading` of the decoder.
+ *
+ * The location keys and the samples of a history payload repeat other readings and are not published.
+ */
+function isReading(value) {
+    return value !== null && typeof value === 'object' && typeof value.channel === 'number'
+        && typeof value.sensor === 'string';
+}
+
+/**
+ * @brief Builds the Home Assistant discovery configs of a reading, one per field for sensor types with fields.
+ *
+ * @param deviceId The TTN device id.
+ * @param key The decoded key, e.g. `temperature_1`.
+ * @param name The key without channel, e.g. `temperature`.
+ * @param reading The structured reading.
+ * @param stateTopic The topic the reading is published to.
+ * @return An array of discovery configs, each with the `object_id` of its topic.
+ */
+function discoveryConfigs(deviceId, key, name, reading, stateTopic) {
+    let device = { identifiers: [deviceId], name: deviceId, model: 'Cayenne LPP' };
+    let fields = (typeof reading.value === 'object') ? Object.keys(reading.value) : [null];
+    let deviceClass = DeviceClasses[name] || {};
+
+    return fields.map(function (field) {
+        let objectId = field === null ? key : key + '_' + field;
+        let unit = (reading.unit && typeof reading.unit === 'object') ? reading.unit[field] : reading.unit;
+        let config = {
+            object_id: objectId,
+            unique_id: deviceId + '_' + objectId,
+            name: field === null ? name + ' ' + reading.channel : name + ' ' + reading.channel + ' ' + field,
+            state_topic: stateTopic,
+            value_template: field === null ? '{{ value_json.value }}' : '{{ value_json.value.' + field + ' }}',
+            state_class: deviceClass.state_class || 'measurement',
+            device: device
+        };
+        if (deviceClass.device_class) {
+            config.device_class = deviceClass.device_class;
+        }
+        if (deviceClass.unit || unit) {
+            config.unit_of_measurement = deviceClass.unit || unit;
+        }
+        return config;
+    });
+}
+
+if (require.main === module) {
+    let args = {};
+    for (let i = 2; i + 1 < process.argv.length; i += 2) {
+        args[process.argv[i].replace(/^--/, '')] = process.argv[i + 1];
+    }
+    if (!args.app || !args.key) {
+        process.stderr.write("Usage: node decoder_mqtt.js --app <application id> --key <API key> "
+            + "[--ttn mqtts://eu1.cloud.thethings.network:8883] [--broker mqtt://localhost:1883] "
+            + "[--prefix cayenne] [--homeassistant true]\n");
+        process.exit(2);
+    }
+
+    let mqtt;
+    try {
+        mqtt = require('mqtt');
+    } catch (err) {
+        process.stderr.write("The bridge needs the mqtt package: npm install mqtt\n");
+        process.exit(2);
+    }
+
+    let ttn = mqtt.connect(args.ttn || 'mqtts://eu1.cloud.thethings.network:8883',
+        { username: args.app, password: args.key });
+    createBridge(ttn, {
+        applicationId: args.app,
+        publisher: mqtt.connect(args.broker || 'mqtt://localhost:1883'),
+        topicPrefix: args.prefix,
+        homeAssistant: args.homeassistant === 'true',
+        onError: function (error, topic) { process.stderr.write(topic + ": " + error + "\n"); }
+    });
+}
+
+module.exports = { createBridge };
@@ -0,0 +1,232 @@
+#!/usr/bin/env node
+/* This code is free software:
+ * you can redistribute it and/or modify it under the terms of a Creative
+ * Commons Attribution-NonCommercial 4.0 International License
+ * (http://creativecommons.org/licenses/by-nc/4.0/)
+ *
+ * Copyright (c) 2024 March by Klaasjan Wagenaar, Tristan Bosveld and Richard Kroesen
+ */
+
+const { SensorTypes, resolveSensorTypes } = require('./decoder_cayenneLPP_extreme');
+const { readProfile } = require('./decoder_input');
+
+/**
+ * @brief Generates the JSON Schema of the result of `decodeUplink` from the sensor types.
+ *
+ * Every sensor type key becomes a pattern property of `data`, e.g. `^temperature_[0-9]{1,3}$`, whose value
+ * is a number, or an object with a number per field, within the range the record can encode: the
+ * `minimum` and `maximum` follow from the byte length, signedness and precision. Values with precision 1
+ * are integers. Sensor types that share a key, like DIG_IN and DIG_OUT, share the pattern property. The
+ * `latitude`, `longitude` and `altitude` of the device location and the `samples` of a history payload
+ * are properties of `data`, other keys are not allowed.
+ *
+ * @param options Optional settings: `sensorTypes`, additional or overriding sensor types in the same way
+ *                as for `decodeUplink`, `output` set to 'structured' for the schema of structured
+ *                readings (see `structureReading`), `gpsFormat` set to 'geojson' for GeoJSON GPS readings and
+ *                `valueFormat` set to 'decimal' for `{ raw, scale }` pairs instead of numbers. With a device
+ *                `profile` (see `DeviceProfiles`) the renamed readings are properties of `data`, calibrated
+ *                readings are numbers without range.
+ * @return The JSON Schema (draft 2020-12) as object.
+ */
+function buildSchema(options) {
+    options = options || {};
+    let sensorTypes = resolveSensorTypes(options.sensorTypes);
+    let valueSchemas = {};
+
+    for (let name in sensorTypes) {
+        let sensor = sensorTypes[name];
+        let schema = sensor.fields ? fieldsSchema(sensor, options) : numberSchema(sensor, options);
+        if (options.gpsFormat === 'geojson' && sensor.type === SensorTypes.GPS_LOC.type) {
+            schema = pointSchema(schema);
+        }
+        if (options.output === 'structured') {
+            schema = structuredSchema(schema);
+        }
+        let description = name + " (type " + sensor.type + ")" + (sensor.unit ? ", " + sensor.unit : "");
+        let existing = valueSchemas[sensor.key];
+
+        if (!existing) {
+            valueSchemas[sensor.key] = Object.assign({ description: description }, schema);
+        } else if (JSON.stringify(Object.assign({}, existing, { description: undefined }))
+            === JSON.stringify(Object.assign({ description: undefined }, schema))) {
+            existing.description += "; " + description;
+        } else {
+            valueSchemas[sensor.key] = { anyOf: [].concat(existing.anyOf || existing,
+                Object.assign({ description: description }, schema)) };
+        }
+    }
+
+    let patternProperties = {};
+    for (let key in valueSchemas) {
+        patternProperties['^' + key + '_[0-9]{1,3}$'] = { $ref: '#/$defs/' + key };
+    }
+
+    let dataProperties = {
+        latitude: { type: 'number', minimum: -90, maximum: 90 },
+        longitude: { type: 'number', minimum: -180, maximum: 180 },
+        altitude: { type: 'number' },
+        samples: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    channel: { type: 'integer', minimum: 0, maximum: 255 },
+                    type: { type: 'integer', minimum: 0, maximum: 255 },
+                    value: { type: ['number', 'object'] },
+                    time: { type: ['string', 'null'] }
+                },
+                required: ['channel', 'type', 'value', 'time'],
+                additionalProperties: false
+            }
+        }
+    };
+    let channels = (options.profile && options.profile.channels) || {};
+    for (let key in channels) {
+        let valueKey = key.replace(/_[0-9]+$/, '');
+        if (!channels[key].name || !valueSchemas.hasOwnProperty(valueKey)) {
+            continue;
+        }
+        let schema = { $ref: '#/$defs/' + valueKey };
+        if (channels[key].calibration) {
+            schema = (options.output === 'structured') ? structuredSchema({ type: 'number' }) : { type: 'number' };
+        }
+        dataProperties[channels[key].name] = Object.assign({ description: key }, schema);
+    }
+
+    let stringArray = { type: 'array', items: { type: 'string' } };
+    return {
+        $schema: 'https://json-schema.org/draft/2020-12/schema',
+        title: 'Cayenne LPP decodeUplink result',
+        type: 'object',
+        properties: {
+            decoder_version: { type: ['integer', 'null'] },
+            data: { $ref: '#/$defs/data' },
+            warnings: stringArray,
+            errors: stringArray,
+            trace: { type: 'array', items: { type: 'object' } }
+        },
+        required: ['decoder_version', 'data', 'warnings', 'errors'],
+        additionalProperties: false,
+        $defs: Object.assign({
+            data: {
+                type: 'object',
+                properties: dataProperties,
+                patternProperties: patternProperties,
+                additionalProperties: false
+            }
+        }, valueSchemas)
+    };
+}
+
+/**
+ * @brief Builds the schema of a single value with the range its bytes can encode.
+ *
+ * @param definition A sensor type or field with `precision`, `signed` and `bytes`.
+ * @param options The options of `buildSchema`, with `valueFormat` 'decimal' the schema is the one of a
+ *                `{ raw, scale }` pair, with the decimals the precision implies as `scale`. A `raw` beyond
+ *                `Number.MAX_SAFE_INTEGER` may also be a string of digits.
+ */
+function numberSchema(definition, options) {
+    let range = Math.pow(2, 8 * definition.bytes);
+    let min = definition.signed ? -range / 2 : 0;
+    let max = definition.signed ? range / 2 - 1 : range - 1;
+
+    if (options && options.valueFormat === 'decimal') {
+        let scale = 6;
+        for (let decimals = 15; decimals >= 0; decimals--) {
+            if (Number.isInteger(Math.pow(10, decimals) / definition.precision)) {
+                scale = decimals;
+            }
+        }
+        let factor = Math.pow(10, scale) / definition.precision;
+        let raw = { type: 'integer', minimum: Math.round(min * factor), maximum: Math.round(max * factor) };
+        if (!Number.isSafeInteger(raw.minimum) || !Number.isSafeInteger(raw.maximum)) {
+            raw = { anyOf: [raw, { type: 'string', pattern: '^-?[0-9]+$' }] };
+        }
+        return {
+            type: 'object',
+            properties: {
+                raw: raw,
+                scale: { const: scale }
+            },
+            required: ['raw', 'scale'],
+            additionalProperties: false
+        };
+    }
+    return {
+        type: definition.precision === 1 ? 'integer' : 'number',
+        minimum: min / definition.precision,
+        maximum: max / definition.precision
+    };
+}
+
+/**
+ * @brief Builds the schema of a sensor type with fields, an object with a value per field.
+ */
+function fieldsSchema(sensor, options) {
+    let properties = {};
+    for (let field of sensor.fields) {
+        properties[field.name] = numberSchema(field, options);
+    }
+    return {
+        type: 'object',
+        properties: properties,
+        required: sensor.fields.map(function (field) { return field.name; }),
+        additionalProperties: false
+    };
+}
+
+/**
+ * @brief Builds the schema of a GeoJSON Point from the schema of a GPS reading.
+ */
+function pointSchema(gpsSchema) {
+    let fields = gpsSchema.properties;
+    return {
+        type: 'object',
+        properties: {
+            type: { const: 'Point' },
+            coordinates: {
+                type: 'array',
+                prefixItems: [fields.longitude, fields.latitude, fields.altitude],
+                minItems: 3,
+                maxItems: 3
+            }
+        },
+        required: ['type', 'coordinates'],
+        additionalProperties: false
+    };
+}
+
+/**
+ * @brief Wraps the schema of a value into the schema of a structured reading.
+ */
+function structuredSchema(valueSchema) {
+    return {
+        type: 'object',
+        properties: {
+            channel: { type: 'integer', minimum: 0, maximum: 255 },
+            type: { type: 'integer', minimum: 0, maximum: 255 },
+            ipso: { type: 'integer' },
+            sensor: { type: 'string' },
+            unit: { type: ['string', 'object', 'null'] },
+            value: valueSchema
+        },
+        required: ['channel', 'type', 'ipso', 'sensor', 'unit', 'value'],
+        additionalProperties: false
+    };
+}
+
+if (require.main === module) {
+    let options = {
+        output: (process.argv.indexOf('--structured') !== -1) ? 'structured' : undefined,
+        gpsFormat: (process.argv.indexOf('--geojson') !== -1) ? 'geojson' : undefined,
+        valueFormat: (process.argv.indexOf('--decimal') !== -1) ? 'decimal' : undefined
+    };
+    let profileIndex = process.argv.indexOf('--profile');
+    if (profileIndex !== -1) {
+        options.profile = readProfile(process.argv[profileIndex + 1]).profile;
+    }
+    process.stdout.write(JSON.stringify(buildSchema(options), null, 2) + "\n");
+}
+
+module.exports = { buildSchema };
@@ -0,0 +1,208 @@
+#!/usr/bin/env node
+/* This code is free software:
+ * you can redistribute it and/or modify it under the terms of a Creative
+ * Commons Attribution-NonCommercial 4.0 International License
+ * (http://creativecommons.org/licenses/by-nc/4.0/)
+ *
+ * Copyright (c) 2024 March by Klaasjan Wagenaar, Tristan Bosveld and Richard Kroesen
+ */
+
+const http = require('http');
+const { decodeUplink } = require('./decoder_cayenneLPP_extreme');
+const { uplinkInput } = require('./decoder_input');
+
+/**
+ * @brief The largest webhook body that is accepted, in bytes.
+ */
+const MaxBodySize = 1024 * 1024;
+
+/**
+ * @brief Creates the store of decoded uplinks, kept in memory per device.
+ *
+ * The device ids and decoded keys come from the webhook body, so the store uses objects without prototype:
+ * an id like `__proto__` is an ordinary device.
+ *
+ * @param historyLimit The number of uplinks kept in the history of a device, older uplinks are dropped.
+ * @return An object with the functions `add(deviceId, uplink)`, `latest(deviceId)` and `history(deviceId)`.
+ *         `latest` returns the `{ value, received_at }` with the newest `received_at` of every decoded key,
+ *         so a retried or late webhook does not replace a newer reading, `history` the decoded uplinks in
+ *         the order they were added. Both return `null` for a device without uplinks.
+ */
+function createStore(historyLimit) {
+    let devices = Object.create(null);
+
+    return {
+        add: function (deviceId, uplink) {
+            let device = devices[deviceId];
+            if (!device) {
+                device = devices[deviceId] = { latest: Object.create(null), history: [] };
+            }
+            let time = new Date(uplink.received_at).getTime();
+            for (let key in uplink.data) {
+                let latest = device.latest[key];
+                if (latest && time < new Date(latest.received_at).getTime()) {
+                    continue;
+                }
+                device.latest[key] = { value: uplink.data[key], received_at: uplink.received_at };
+            }
+            device.history.push(uplink);
+            if (device.history.length > historyLimit) {
+                device.history.shift();
+            }
+        },
+        latest: function (deviceId) {
+            return (deviceId in devices) ? devices[deviceId].latest : null;
+        },
+        history: function (deviceId) {
+            return (deviceId in devices) ? devices[deviceId].history : null;
+        }
+    };
+}
+
+/**
+ * @brief Creates an HTTP server that receives TTN v3 uplink webhooks and serves the decoded readings.
+ *
+ * The server handles the following requests:
+ * - `POST <uplinkPath>`: an uplink webhook message. Its `frm_payload` is decoded with `decodeUplink` and the
+ *   decoded uplink `{ device_id, received_at, f_port, data, warnings, errors }` is stored and returned.
+ *   An uplink with decode errors is stored as well, a body that is not an uplink message gives status 400.
+ * - `GET /devices/:id/latest`: the most recent value of every decoded key of the device,
+ *   `{ device_id, readings: { temperature_1: { value, received_at }, ... } }`.
+ * - `GET /devices/:id/history`: the decoded uplinks of the device, `{ device_id, uplinks: [...] }`.
+ *
+ * Errors are returned as `{ error }` with status 400 for a device id that is not URL encoded correctly, 404
+ * for an unknown device or path and 405 for an unsupported method.
+ *
+ * @param options Optional settings: `uplinkPath` (default '/uplink'), `historyLimit`, the number of uplinks
+ *                kept per device (default 100), and `store`, a store as created by `createStore`.
+ * @return The `http.Server`, not yet listening.
+ */
+function createServer(options) {
+    options = options || {};
+    let uplinkPath = options.uplinkPath || '/uplink';
+    let store = options.store || createStore(options.historyLimit || 100);
+
+    return http.createServer(function (request, response) {
+        let path = request.url.split('?')[0];
+        let route = /^\/devices\/([^/]+)\/(latest|history)$/.exec(path);
+
+        if (path === uplinkPath) {
+            if (request.method !== 'POST') {
+                return sendJson(response, 405, { error: "Method not allowed: " + request.method });
+            }
+            return readBody(request, function (error, body) {
+                if (error) {
+                    return sendJson(response, 413, { error: error.message });
+                }
+                let uplink = receiveUplink(body);
+                if (uplink.error) {
+                    return sendJson(response, 400, uplink);
+                }
+                store.add(uplink.device_id, uplink);
+                sendJson(response, 200, uplink);
+            });
+        }
+
+        if (!route) {
+            return sendJson(response, 404, { error: "Not found: " + path });
+        }
+        if (request.method !== 'GET') {
+            return sendJson(response, 405, { error: "Method not allowed: " + request.method });
+        }
+
+        let deviceId;
+        try {
+            deviceId = decodeURIComponent(route[1]);
+        } catch (err) {
+            return sendJson(response, 400, { error: "Invalid device id: " + route[1] });
+        }
+        let readings = (route[2] === 'latest') ? store.latest(deviceId) : store.history(deviceId);
+        if (readings === null) {
+            return sendJson(response, 404, { error: "Unknown device: " + deviceId });
+        }
+        sendJson(response, 200, (route[2] === 'latest')
+            ? { device_id: deviceId, readings: readings }
+            : { device_id: deviceId, uplinks: readings });
+    });
+}
+
+/**
+ * @brief Decodes the body of an uplink webhook.
+ *
+ * @param body The request body as text.
+ * @return The decoded uplink `{ device_id, received_at, f_port, data, warnings, errors }`, or `{ error }`
+ *         when the body is not an uplink message.
+ */
+function receiveUplink(body) {
+    let message;
+    let input;
+    try {
+        message = JSON.parse(body);
+        input = uplinkInput(message);
+    } catch (err) {
+        return { error: (err instanceof SyntaxError) ? "Invalid JSON: " + err.message : err.message };
+    }
+
+    let ids = message.end_device_ids || {};
+    if (!ids.device_id) {
+        return { error: "JSON is not a TTN uplink message: end_device_ids.device_id is missing" };
+    }
+
+    let result = decodeUplink(input);
+    return {
+        device_id: ids.device_id,
+        received_at: message.received_at || new Date().toISOString(),
+        f_port: input.fPort,
+        data: result.data,
+        warnings: result.warnings,
+        errors: result.errors
+    };
+}
+
+/**
+ * @brief Reads the body of a request up to `MaxBodySize` bytes.
+ *
+ * @param request The incoming request.
+ * @param callback The function called with an error, or `null` and the body as text.
+ */
+function readBody(request, callback) {
+    let chunks = [];
+    let size = 0;
+    let failed = false;
+
+    request.on('data', function (chunk) {
+        size += chunk.length;
+        if (size > MaxBodySize) {
+            if (!failed) {
+                failed = true;
+                callback(new Error("Request body larger than " + MaxBodySize + " bytes"));
+            }
+            return;
+        }
+        chunks.push(chunk);
+    });
+    request.on('end', function () {
+        if (!failed) {
+            callback(null, Buffer.concat(chunks).toString('utf8'));
+        }
+    });
+}
+
+/**
+ * @brief Sends an object as JSON response.
+ */
+function sendJson(response, status, body) {
+    response.writeHead(status, { 'Content-Type': 'application/json' });
+    response.end(JSON.stringify(body));
+}
+
+if (require.main === module) {
+    let portIndex = process.argv.indexOf('--port');
+    let port = (portIndex !== -1) ? Number(process.argv[portIndex + 1]) : 8080;
+
+    createServer().listen(port, function () {
+        process.stdout.write("Listening for TTN uplink webhooks on http://localhost:" + port + "/uplink\n");
+    });
+}
+
+module.exports = { createServer, createStore };
@@ -193,7 +193,8 @@ describe('decodeDownlink', () => {
             bytes: [
                 SensorTypes.HUM_SENS.type,
                 1,  // Channel
-                50 
+                50, // LSB
+                0   // MSB
             ]
         };
         const expected = {
@@ -257,7 +258,7 @@ describe('decodeDownlink', () => {
             data: {
                 barometer_1: ((1 << 8) + 144) / SensorTypes.BARO_SENS.precision // Assuming 0.1 hPa precision
             },
-            warnings: [],
+            warnings: ["Value out of range: barometer_1 = 40 (300..1100)"],
             errors: []
         };
 
@@ -326,9 +327,352 @@ describe('decodeDownlink', () => {
             decoder_version: 1,
             data: {
                 gps_6: { // Assuming channel 6 for GPS
-                    x: 515074/LAT_LON_PRECISION,  // Latitude
-                    y: -1279/LAT_LON_PRECISION,  // Longitude
-                    z: 3000/ALTITUDE_PRECISION    // Altitude
+                    latitude: 515074/LAT_LON_PRECISION,
+                    longitude: -1278/LAT_LON_PRECISION,
+                    altitude: 3000/ALTITUDE_PRECISION
+                },
+                latitude: 515074/LAT_LON_PRECISION,  // Location of the device
+                longitude: -1278/LAT_LON_PRECISION,
+                altitude: 3000/ALTITUDE_PRECISION
+            },
+            warnings: [],
+            errors: []
+        };
+
+        const result = decodeUplink(input);
+
+        expect(result).toEqual(expected);
+    });
+
+    /* Test #13 for GEN_SENS data */
+    it('correctly decodes GEN_SENS sensor data', () => {
+        const input = {
+            fPort: 1,
+            bytes: [
+                SensorTypes.GEN_SENS.type,
+                1,  // Channel
+                0x40, 0xE2, 0x01, 0x00 // 123456
+            ]
+        };
+        const expected = {
+            decoder_version: 1,
+            data: {
+                generic_1: 123456
+            },
+            warnings: [],
+            errors: []
+        };
+
+        const result = decodeUplink(input);
+
+        expect(result).toEqual(expected);
+    });
+
+    /* Test #14 for VOLT_SENS data */
+    it('correctly decodes VOLT_SENS sensor data', () => {
+        const input = {
+            fPort: 1,
+            bytes: [
+                SensorTypes.VOLT_SENS.type,
+                2,  // Channel
+                0xD2, 0x04 // 1234 (0.01 V precision)
+            ]
+        };
+        const expected = {
+            decoder_version: 1,
+            data: {
+                voltage_2: 12.34
+            },
+            warnings: [],
+            errors: []
+        };
+
+        const result = decodeUplink(input);
+
+        expect(result).toEqual(expected);
+    });
+
+    /* Test #15 for CURR_SENS data */
+    it('correctly decodes CURR_SENS sensor data', () => {
+        const input = {
+            fPort: 1,
+            bytes: [
+                SensorTypes.CURR_SENS.type,
+                1,  // Channel
+                0xF4, 0x01 // 500 (0.001 A precision)
+            ]
+        };
+        const expected = {
+            decoder_version: 1,
+            data: {
+                current_1: 0.5
+            },
+            warnings: [],
+            errors: []
+        };
+
+        const result = decodeUplink(input);
+
+        expect(result).toEqual(expected);
+    });
+
+    /* Test #16 for FREQ_SENS data */
+    it('correctly decodes FREQ_SENS sensor data', () => {
+        const input = {
+            fPort: 1,
+            bytes: [
+                SensorTypes.FREQ_SENS.type,
+                1,  // Channel
+                0x00, 0xA1, 0xBC, 0x33 // 868000000 Hz
+            ]
+        };
+        const expected = {
+            decoder_version: 1,
+            data: {
+                frequency_1: 868000000
+            },
+            warnings: [],
+            errors: []
+        };
+
+        const result = decodeUplink(input);
+
+        expect(result).toEqual(expected);
+    });
+
+    /* Test #17 for PERC_SENS data */
+    it('correctly decodes PERC_SENS sensor data', () => {
+        const input = {
+            fPort: 1,
+            bytes: [
+                SensorTypes.PERC_SENS.type,
+                3,  // Channel
+                75
+            ]
+        };
+        const expected = {
+            decoder_version: 1,
+            data: {
+                percentage_3: 75
+            },
+            warnings: [],
+            errors: []
+        };
+
+        const result = decodeUplink(input);
+
+        expect(result).toEqual(expected);
+    });
+
+    /* Test #18 for ALT_SENS negative data */
+    it('correctly decodes ALT_SENS sensor negative data', () => {
+        const input = {
+            fPort: 1,
+            bytes: [
+                SensorTypes.ALT_SENS.type,
+                1,  // Channel
+                0xF4, 0xFF // -12 m in 2's complement
+            ]
+        };
+        const expected = {
+            decoder_version: 1,
+            data: {
+                altitude_1: -12
+            },
+            warnings: [],
+            errors: []
+        };
+
+        const result = decodeUplink(input);
+
+        expect(result).toEqual(expected);
+    });
+
+    /* Test #19 for LOAD_SENS negative data */
+    it('correctly decodes LOAD_SENS sensor negative data', () => {
+        const input = {
+            fPort: 1,
+            bytes: [
+                SensorTypes.LOAD_SENS.type,
+                1,  // Channel
+                0x24, 0xFA, 0xFF // -1500 (0.001 kg precision) in 2's complement
+            ]
+        };
+        const expected = {
+            decoder_version: 1,
+            data: {
+                load_1: -1.5
+            },
+            warnings: [],
+            errors: []
+        };
+
+        const result = decodeUplink(input);
+
+        expect(result).toEqual(expected);
+    });
+
+    /* Test #20 for CONC_SENS data */
+    it('correctly decodes CONC_SENS sensor data', () => {
+        const input = {
+            fPort: 1,
+            bytes: [
+                SensorTypes.CONC_SENS.type,
+                1,  // Channel
+                0x9F, 0x01 // 415 ppm
+            ]
+        };
+        const expected = {
+            decoder_version: 1,
+            data: {
+                concentration_1: 415
+            },
+            warnings: [],
+            errors: []
+        };
+
+        const result = decodeUplink(input);
+
+        expect(result).toEqual(expected);
+    });
+
+    /* Test #21 for POWER_SENS data */
+    it('correctly decodes POWER_SENS sensor data', () => {
+        const input = {
+            fPort: 1,
+            bytes: [
+                SensorTypes.POWER_SENS.type,
+                1,  // Channel
+                0xDC, 0x05 // 1500 W
+            ]
+        };
+        const expected = {
+            decoder_version: 1,
+            data: {
+                power_1: 1500
+            },
+            warnings: [],
+            errors: []
+        };
+
+        const result = decodeUplink(input);
+
+        expect(result).toEqual(expected);
+    });
+
+    /* Test #22 for DIST_SENS data */
+    it('correctly decodes DIST_SENS sensor data', () => {
+        const input = {
+            fPort: 1,
+            bytes: [
+                SensorTypes.DIST_SENS.type,
+                1,  // Channel
+                0x39, 0x30, 0x00, 0x00 // 12345 (0.001 m precision)
+            ]
+        };
+        const expected = {
+            decoder_version: 1,
+            data: {
+                distance_1: 12.345
+            },
+            warnings: [],
+            errors: []
+        };
+
+        const result = decodeUplink(input);
+
+        expect(result).toEqual(expected);
+    });
+
+    /* Test #23 for ENRG_SENS data */
+    it('correctly decodes ENRG_SENS sensor data', () => {
+        const input = {
+            fPort: 1,
+            bytes: [
+                SensorTypes.ENRG_SENS.type,
+                1,  // Channel
+                0xC4, 0x09, 0x00, 0x00 // 2500 (0.001 kWh precision)
+            ]
+        };
+        const expected = {
+            decoder_version: 1,
+            data: {
+                energy_1: 2.5
+            },
+            warnings: [],
+            errors: []
+        };
+
+        const result = decodeUplink(input);
+
+        expect(result).toEqual(expected);
+    });
+
+    /* Test #24 for DIR_SENS data */
+    it('correctly decodes DIR_SENS sensor data', () => {
+        const input = {
+            fPort: 1,
+            bytes: [
+                SensorTypes.DIR_SENS.type,
+                1,  // Channel
+                0x0E, 0x01 // 270 degrees
+            ]
+        };
+        const expected = {
+            decoder_version: 1,
+            data: {
+                direction_1: 270
+            },
+            warnings: [],
+            errors: []
+        };
+
+        const result = decodeUplink(input);
+
+        expect(result).toEqual(expected);
+    });
+
+    /* Test #25 for UNIX_TIME data */
+    it('correctly decodes UNIX_TIME data', () => {
+        const input = {
+            fPort: 1,
+            bytes: [
+                SensorTypes.UNIX_TIME.type,
+                1,  // Channel
+                0x00, 0x27, 0xFA, 0x65 // 2024-03-20T00:00:00Z
+            ]
+        };
+        const expected = {
+            decoder_version: 1,
+            data: {
+                unixtime_1: 1710892800
+            },
+            warnings: [],
+            errors: []
+        };
+
+        const result = decodeUplink(input);
+
+        expect(result).toEqual(expected);
+    });
+
+    /* Test #26 for COLOUR data */
+    it('correctly decodes COLOUR data', () => {
+        const input = {
+            fPort: 1,
+            bytes: [
+                SensorTypes.COLOUR.type,
+                4,  // Channel
+                255, 128, 0 // R, G, B
+            ]
+        };
+        const expected = {
+            decoder_version: 1,
+            data: {
+                colour_4: {
+                    r: 255,
+                    g: 128,
+                    b: 0
                 }
             },
             warnings: [],
@@ -339,4 +683,28 @@ describe('decodeDownlink', () => {
 
         expect(result).toEqual(expected);
     });
+
+    /* Test #27 for SWITCH data */
+    it('correctly decodes SWITCH data', () => {
+        const input = {
+            fPort: 1,
+            bytes: [
+                SensorTypes.SWITCH.type,
+                2,  // Channel
+                1 // On
+            ]
+        };
+        const expected = {
+            decoder_version: 1,
+            data: {
+                switch_2: 1
+            },
+            warnings: [],
+            errors: []
+        };
+
+        const result = decodeUplink(input);
+
+        expect(result).toEqual(expected);
+    });
 });
@@ -0,0 +1,123 @@
+/* This code is free software:
+ * you can redistribute it and/or modify it under the terms of a Creative
+ * Commons Attribution-NonCommercial 4.0 International License
+ * (http://creativecommons.org/licenses/by-nc/4.0/)
+ *
+ * Copyright (c) 2024 March by Klaasjan Wagenaar, Tristan Bosveld and Richard Kroesen
+ */
+
+const { decodeUplink, SensorTypes } = require('./decoder_cayenneLPP_extreme');
+
+describe('Decode timestamped history payloads', () => {
+
+    /* TEST #1 absolute and relative time records */
+    it('attaches unix time and time delta records to the readings after them', () => {
+        const input = {
+            fPort: 3,
+            bytes: [
+                SensorTypes.UNIX_TIME.type, 0, 0x00, 0x27, 0xFA, 0x65, // 2024-03-20T00:00:00Z
+                SensorTypes.TEMP_SENS.type, 1, 0xFA, 0x00,             // temperature 25.0
+                SensorTypes.TIME_DELTA.type, 0, 0x3C, 0x00,            // + 60 seconds
+                SensorTypes.TEMP_SENS.type, 1, 0x04, 0x01,             // temperature 26.0
+                SensorTypes.HUM_SENS.type, 2, 0x8A, 0x02               // humidity 65.0
+            ]
+        };
+        const expected = {
+            decoder_version: 3,
+            data: {
+                samples: [
+                    { channel: 1, type: SensorTypes.TEMP_SENS.type, value: 25, time: '2024-03-20T00:00:00.000Z' },
+                    { channel: 1, type: SensorTypes.TEMP_SENS.type, value: 26, time: '2024-03-20T00:01:00.000Z' },
+                    { channel: 2, type: SensorTypes.HUM_SENS.type, value: 65, time: '2024-03-20T00:01:00.000Z' }
+                ],
+                temperature_1: 26,
+                humidity_2: 65
+            },
+            warnings: [],
+            errors: []
+        };
+
+        const result = decodeUplink(input);
+
+        expect(result).toEqual(expected);
+    });
+
+    /* TEST #2 time deltas relative to the reception time */
+    it('starts at the reception time of the uplink', () => {
+        const input = {
+            fPort: 3,
+            recvTime: new Date('2024-03-20T12:00:00Z'),
+            bytes: [
+                SensorTypes.TIME_DELTA.type, 0, 0x88, 0xFF, // - 120 seconds
+                SensorTypes.DIG_IN.type, 4, 0,
+                SensorTypes.TIME_DELTA.type, 0, 0x3C, 0x00, // + 60 seconds
+                SensorTypes.DIG_IN.type, 4, 1
+            ]
+        };
+
+        const result = decodeUplink(input);
+
+        expect(result.data.samples.map((sample) => sample.time)).toEqual([
+            '2024-03-20T11:58:00.000Z',
+            '2024-03-20T11:59:00.000Z'
+        ]);
+        expect(result.data.digital_4).toBe(1);
+    });
+
+    /* TEST #3 latest value by time instead of payload order */
+    it('flattens the latest reading of every key', () => {
+        const input = {
+            fPort: 3,
+            bytes: [
+                SensorTypes.UNIX_TIME.type, 0, 0x3C, 0x27, 0xFA, 0x65, // 2024-03-20T00:01:00Z
+                SensorTypes.TEMP_SENS.type, 1, 0x04, 0x01,             // temperature 26.0
+                SensorTypes.UNIX_TIME.type, 0, 0x00, 0x27, 0xFA, 0x65, // 2024-03-20T00:00:00Z
+                SensorTypes.TEMP_SENS.type, 1, 0xFA, 0x00              // temperature 25.0
+            ]
+        };
+
+        const result = decodeUplink(input);
+
+        expect(result.data.samples).toHaveLength(2);
+        expect(result.data.temperature_1).toBe(26);
+        expect(result.warnings).toEqual([]);
+    });
+
+    /* TEST #4 without any time */
+    it('reports samples without time when the time is unknown', () => {
+        const result = decodeUplink({ fPort: 3, bytes: [SensorTypes.PRSNC_SENS.type, 2, 1] });
+
+        expect(result.data).toEqual({
+            samples: [{ channel: 2, type: SensorTypes.PRSNC_SENS.type, value: 1, time: null }],
+            presence_2: 1
+        });
+    });
+
+    /* TEST #5 malformed history payload */
+    it('keeps the samples decoded before a truncated record', () => {
+        const result = decodeUplink({
+            fPort: 3,
+            bytes: [SensorTypes.PRSNC_SENS.type, 2, 1, SensorTypes.TIME_DELTA.type, 0, 0x3C]
+        });
+
+        expect(result.data.samples).toHaveLength(1);
+        expect(result.errors).toEqual(["Truncated record at byte 3: TIME_DELTA channel 0 needs 2 bytes, 1 available"]);
+    });
+
+    /* TEST #6 invalid reception time */
+    it('warns about an invalid reception time instead of throwing', () => {
+        const bytes = [SensorTypes.TEMP_SENS.type, 1, 0x03, 0x01];
+
+        expect(decodeUplink({ fPort: 3, recvTime: 'yesterday', bytes: bytes })).toEqual({
+            decoder_version: 3,
+            data: {
+                samples: [{ channel: 1, type: SensorTypes.TEMP_SENS.type, value: 25.9, time: null }],
+                temperature_1: 25.9
+            },
+            warnings: ["Invalid recvTime: yesterday, samples before a time record have no time"],
+            errors: []
+        });
+        expect(decodeUplink({ fPort: 3, recvTime: 'yesterday', bytes: [SensorTypes.TIME_DELTA.type, 0, 0x3C, 0x00]
+            .concat(bytes) }).data.samples[0].time).toBeNull();
+    });
+});
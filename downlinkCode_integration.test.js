@@ -6,7 +6,7 @@
  * Copyright (c) 2024 March by Klaasjan Wagenaar, Tristan Bosveld and Richard Kroesen
  */
 
-const { decodeUplink, SensorTypes } = require('./decoder_cayenneLPP_extreme');
+const { decodeUplink, encodeValue, SensorTypes, processPayloadVersion_ONE } = require('./decoder_cayenneLPP_extreme');
 
 describe('Decode Downlink with Multiple Sensor Types', () => {
     it('correctly decodes a mix of sensor types', () => {
@@ -37,10 +37,13 @@ describe('Decode Downlink with Multiple Sensor Types', () => {
                 digital_1: 1, // Digital input ON
                 temperature_2: 30.0, // 30.0°C
                 gps_3: {
-                    x: 51.5074, // Latitude
-                    y: -0.1279, // Longitude
-                    z: 30.0     // Altitude
-                }
+                    latitude: 51.5074,
+                    longitude: -0.1278,
+                    altitude: 30.0
+                },
+                latitude: 51.5074, // Location of the device
+                longitude: -0.1278,
+                altitude: 30.0
             },
             warnings: [],
             errors: []
@@ -79,11 +82,10 @@ describe('Decode Downlink with Multiple Sensor Types', () => {
             decoder_version: 1,
             data: {
                 "digital_1": 1,
-                errors: ["Unknown type: 200"],
                 "temperature_2": 30,
             },
             warnings: [],
-            errors: []
+            errors: ["Unknown type: 200"]
         };
     
         const result = decodeUplink(input);
@@ -91,4 +93,466 @@ describe('Decode Downlink with Multiple Sensor Types', () => {
         expect(result).toEqual(expected);
     });
 
+    it('reports errors for a truncated record and keeps the earlier records', () => {
+        const input = {
+            fPort: 1,
+            bytes: [
+                SensorTypes.DIG_IN.type, 1, 1, // DIG_IN, channel 1, value 1 (digital input ON)
+                SensorTypes.TEMP_SENS.type, 2, 0x03 // TEMP_SENS, channel 2, MSB missing
+            ]
+        };
+
+        const expected = {
+            decoder_version: 1,
+            data: {
+                "digital_1": 1
+            },
+            warnings: [],
+            errors: ["Truncated record at byte 3: TEMP_SENS channel 2 needs 2 bytes, 1 available"]
+        };
+
+        const result = decodeUplink(input);
+
+        expect(result).toEqual(expected);
+    });
+
+    it('reports errors for a record without channel', () => {
+        const input = {
+            fPort: 1,
+            bytes: [SensorTypes.TEMP_SENS.type, 1, 0x03, 0x01, SensorTypes.HUM_SENS.type]
+        };
+
+        const result = decodeUplink(input);
+
+        expect(result.data).toEqual({ "temperature_1": 25.9 });
+        expect(result.errors).toEqual(["Truncated record at byte 4: HUM_SENS without channel"]);
+    });
+
+    it('continues after an unrecognized sensor type in best effort mode', () => {
+        const input = {
+            fPort: 1,
+            errorMode: 'bestEffort',
+            bytes: [
+                SensorTypes.DIG_IN.type, 1, 1, // DIG_IN, channel 1, value 1 (digital input ON)
+                0xC8, // Undefined sensor type, no channel or data
+                SensorTypes.TEMP_SENS.type, 2, 0x2C, 0x01, // TEMP_SENS, channel 2, value 300
+                SensorTypes.ANL_IN.type, 3, 0x0C // ANL_IN, channel 3, MSB missing
+            ]
+        };
+
+        const expected = {
+            decoder_version: 1,
+            data: {
+                "digital_1": 1,
+                "temperature_2": 30
+            },
+            warnings: [],
+            errors: [
+                "Unknown type: 200",
+                "Truncated record at byte 8: ANL_IN channel 3 needs 2 bytes, 1 available"
+            ]
+        };
+
+        const result = decodeUplink(input);
+
+        expect(result).toEqual(expected);
+    });
+
+    it('warns when a reading overwrites an earlier reading with the same key', () => {
+        const input = {
+            fPort: 1,
+            bytes: [
+                SensorTypes.DIG_IN.type, 1, 0,  // DIG_IN, channel 1, value 0
+                SensorTypes.DIG_OUT.type, 1, 1  // DIG_OUT, channel 1, value 1 (same key digital_1)
+            ]
+        };
+
+        const expected = {
+            decoder_version: 1,
+            data: {
+                "digital_1": 1
+            },
+            warnings: ["Duplicate key at byte 3: digital_1 overwrites an earlier reading"],
+            errors: []
+        };
+
+        const result = decodeUplink(input);
+
+        expect(result).toEqual(expected);
+    });
+
+    it('decodes custom sensor types passed with the input', () => {
+        const input = {
+            fPort: 1,
+            sensorTypes: {
+                SOIL_SENS: { type: 200, key: 'soil', precision: 10, signed: false, bytes: 3,
+                    fields: [
+                        { name: 'moisture', precision: 10, signed: false, bytes: 2 },
+                        { name: 'ph', precision: 10, signed: false, bytes: 1 }
+                    ] },
+                TEMP_SENS: { type: 103, key: 'temperature', precision: 100, signed: true, bytes: 2 }
+            },
+            bytes: [
+                0xC8, 4, 0xB3, 0x01, 0x41, // SOIL_SENS, channel 4, moisture 43.5, ph 6.5
+                SensorTypes.TEMP_SENS.type, 2, 0x2C, 0x01 // TEMP_SENS overridden to 0.01 precision
+            ]
+        };
+
+        const expected = {
+            decoder_version: 1,
+            data: {
+                "soil_4": { moisture: 43.5, ph: 6.5 },
+                "temperature_2": 3
+            },
+            warnings: [],
+            errors: []
+        };
+
+        const result = decodeUplink(input);
+
+        expect(result).toEqual(expected);
+        expect(decodeUplink({ fPort: 1, bytes: input.bytes }).errors).toEqual(["Unknown type: 200"]);
+    });
+
+    it('decodes readings with their metadata in structured output mode', () => {
+        const input = {
+            fPort: 1,
+            output: 'structured',
+            bytes: [
+                SensorTypes.TEMP_SENS.type, 1, 0x03, 0x01, // TEMP_SENS, channel 1, value 259 (25.9°C)
+                SensorTypes.DIG_IN.type, 2, 1,             // DIG_IN, channel 2, value 1
+                SensorTypes.GPS_LOC.type, 3,
+                0x02, 0xDC, 0x07, 0x00, // Latitude 51.5074
+                0xFE, 0x04, 0x00, 0x00, // Longitude 0.1278
+                0xB8, 0x0B, 0x00, 0x00  // Altitude 30.0
+            ]
+        };
+
+        const expected = {
+            decoder_version: 1,
+            data: {
+                "temperature_1": { channel: 1, type: 103, ipso: 3303, sensor: 'TEMP_SENS', unit: '°C', value: 25.9 },
+                "digital_2": { channel: 2, type: 0, ipso: 3200, sensor: 'DIG_IN', unit: null, value: 1 },
+                "gps_3": {
+                    channel: 3,
+                    type: 136,
+                    ipso: 3336,
+                    sensor: 'GPS_LOC',
+                    unit: { latitude: 'degrees', longitude: 'degrees', altitude: 'm' },
+                    value: { latitude: 51.5074, longitude: 0.1278, altitude: 30 }
+                },
+                "latitude": 51.5074,
+                "longitude": 0.1278,
+                "altitude": 30
+            },
+            warnings: [],
+            errors: []
+        };
+
+        const result = decodeUplink(input);
+
+        expect(result).toEqual(expected);
+    });
+
+    it('decodes GPS readings as GeoJSON Point geometry', () => {
+        const input = {
+            fPort: 1,
+            gpsFormat: 'geojson',
+            bytes: [
+                SensorTypes.GPS_LOC.type, 3,
+                0x02, 0xDC, 0x07, 0x00, // Latitude 51.5074
+                0xFE, 0x04, 0x00, 0x00, // Longitude 0.1278
+                0xB8, 0x0B, 0x00, 0x00  // Altitude 30.0
+            ]
+        };
+
+        const result = decodeUplink(input);
+
+        expect(result.data).toEqual({
+            "gps_3": { type: 'Point', coordinates: [0.1278, 51.5074, 30] },
+            "latitude": 51.5074,
+            "longitude": 0.1278,
+            "altitude": 30
+        });
+    });
+
+    it('warns for GPS coordinates out of range and skips them for the location', () => {
+        const input = {
+            fPort: 1,
+            bytes: [
+                SensorTypes.GPS_LOC.type, 12,
+                0x9E, 0xE9, 0x36, 0x14, // Latitude 33914.307
+                0xEA, 0x18, 0xB4, 0x00, // Longitude 1180.2858
+                0x00, 0x00, 0x00, 0x00, // Altitude 0
+                SensorTypes.GPS_LOC.type, 3,
+                0x02, 0xDC, 0x07, 0x00, // Latitude 51.5074
+                0xFE, 0x04, 0x00, 0x00, // Longitude 0.1278
+                0xB8, 0x0B, 0x00, 0x00  // Altitude 30.0
+            ]
+        };
+
+        const result = decodeUplink(input);
+
+        expect(result.data.gps_12).toEqual({ latitude: 33914.307, longitude: 1180.2858, altitude: 0 });
+        expect(result.data.latitude).toBe(51.5074);
+        expect(result.warnings).toEqual([
+            "Location out of range: gps_12 latitude = 33914.307",
+            "Location out of range: gps_12 longitude = 1180.2858"
+        ]);
+        expect(result.errors).toEqual([]);
+    });
+
+    it('warns for readings outside their plausible range', () => {
+        const input = {
+            fPort: 1,
+            bytes: [
+                SensorTypes.DIG_IN.type, 1, 139,            // DIG_IN, channel 1, value 139
+                SensorTypes.TEMP_SENS.type, 7, 0x91, 0x89,  // TEMP_SENS, channel 7, value -3031.9
+                SensorTypes.HUM_SENS.type, 8, 0x4B, 0x00,   // HUM_SENS, channel 8, value 7.5
+                SensorTypes.BARO_SENS.type, 10, 0x6F, 0x86  // BARO_SENS, channel 10, value 3441.5
+            ]
+        };
+
+        const result = decodeUplink(input);
+
+        expect(result.data).toEqual({
+            "digital_1": 139,
+            "temperature_7": -3031.9,
+            "humidity_8": 7.5,
+            "barometer_10": 3441.5
+        });
+        expect(result.warnings).toEqual([
+            "Value out of range: digital_1 = 139 (0..1)",
+            "Value out of range: temperature_7 = -3031.9 (-40..125)",
+            "Value out of range: barometer_10 = 3441.5 (300..1100)"
+        ]);
+        expect(result.errors).toEqual([]);
+    });
+
+    it('overrides the plausible range per channel', () => {
+        const input = {
+            fPort: 1,
+            ranges: {
+                "temperature_1": { min: 0, max: 20 },
+                "temperature_2": null,
+                "accelerometer_3.z": { min: -2, max: 2 }
+            },
+            bytes: [
+                SensorTypes.TEMP_SENS.type, 1, 0x03, 0x01, // TEMP_SENS, channel 1, value 25.9
+                SensorTypes.TEMP_SENS.type, 2, 0x91, 0x89, // TEMP_SENS, channel 2, value -3031.9
+                SensorTypes.ACCRM_SENS.type, 3, 0x00, 0x00, 0x00, 0x00, 0x52, 0x26 // z = 9.81
+            ]
+        };
+
+        const result = decodeUplink(input);
+
+        expect(result.warnings).toEqual([
+            "Value out of range: temperature_1 = 25.9 (0..20)",
+            "Value out of range: accelerometer_3.z = 9.81 (-2..2)"
+        ]);
+    });
+
+    it('reports an error for an unsupported payload version', () => {
+        const result = decodeUplink({ fPort: 7, bytes: [SensorTypes.DIG_IN.type, 1, 1] });
+
+        expect(result.decoder_version).toBeNull();
+        expect(result.data).toEqual({});
+        expect(result.errors).toEqual(["Payload Version not supported: 7"]);
+    });
+
+    it('decodes with the payload processor registered for the fPort', () => {
+        const input = {
+            fPort: 5,
+            payloadVersions: {
+                5: { version: 3, process: processPayloadVersion_ONE }
+            },
+            bytes: [SensorTypes.DIG_IN.type, 1, 1]
+        };
+
+        const result = decodeUplink(input);
+
+        expect(result).toEqual({
+            decoder_version: 3,
+            data: { "digital_1": 1 },
+            warnings: [],
+            errors: []
+        });
+    });
+
+    it('selects the payload processor by the version byte', () => {
+        const payloadVersions = {
+            6: {
+                versionByte: {
+                    1: { version: 1, process: processPayloadVersion_ONE },
+                    2: { version: 2, process: (bytes, decoded) => { decoded.raw = bytes; return decoded; } }
+                }
+            }
+        };
+
+        const first = decodeUplink({ fPort: 6, payloadVersions, bytes: [1, SensorTypes.DIG_IN.type, 1, 1] });
+        const second = decodeUplink({ fPort: 6, payloadVersions, bytes: [2, 0xAB] });
+        const unknown = decodeUplink({ fPort: 6, payloadVersions, bytes: [9, 0xAB] });
+
+        expect(first.decoder_version).toBe(1);
+        expect(first.data).toEqual({ "digital_1": 1 });
+        expect(second.decoder_version).toBe(2);
+        expect(second.data).toEqual({ raw: [0xAB] });
+        expect(unknown.decoder_version).toBeNull();
+        expect(unknown.errors).toEqual(["Payload Version not supported: 6 version byte 9"]);
+    });
+
+
+    it('traces how every byte of the payload was decoded', () => {
+        const input = {
+            fPort: 1,
+            trace: true,
+            bytes: [
+                SensorTypes.TEMP_SENS.type, 1, 0x03, 0x01,
+                SensorTypes.ACCRM_SENS.type, 2, 0x2E, 0xFB, 0x02, 0x00, 0xD2, 0x04,
+                4, 1, 0x64, 0x02
+            ]
+        };
+
+        const result = decodeUplink(input);
+
+        expect(result.trace).toEqual([
+            { offset: 0, bytes: [0x67, 1, 0x03, 0x01], name: 'TEMP_SENS', channel: 1, raw: 259, precision: 10, value: 25.9 },
+            {
+                offset: 4, bytes: [0x71, 2, 0x2E, 0xFB, 0x02, 0x00, 0xD2, 0x04], name: 'ACCRM_SENS', channel: 2,
+                raw: { x: -1234, y: 2, z: 1234 },
+                precision: { x: 1000, y: 1000, z: 1000 },
+                value: { x: -1.234, y: 0.002, z: 1.234 }
+            },
+            { offset: 12, bytes: [4, 1, 0x64, 0x02], error: "Unknown type: 4" }
+        ]);
+        expect(result.errors).toEqual(["Unknown type: 4"]);
+    });
+
+    it('traces the bytes skipped in best effort mode and leaves the result unchanged without trace', () => {
+        const bytes = [4, SensorTypes.DIG_IN.type, 1, 1, SensorTypes.TEMP_SENS.type, 1, 0x03];
+
+        const result = decodeUplink({ fPort: 1, errorMode: 'bestEffort', trace: true, bytes: bytes });
+
+        expect(result.trace).toEqual([
+            { offset: 0, bytes: [4], error: "Unknown type: 4" },
+            { offset: 1, bytes: [0, 1, 1], name: 'DIG_IN', channel: 1, raw: 1, precision: 1, value: 1 },
+            {
+                offset: 4, bytes: [0x67, 1, 0x03],
+                error: "Truncated record at byte 4: TEMP_SENS channel 1 needs 2 bytes, 1 available"
+            }
+        ]);
+        expect(decodeUplink({ fPort: 1, errorMode: 'bestEffort', bytes: bytes })).not.toHaveProperty('trace');
+    });
+
+    it('traces 8-byte integers beyond the safe range as digit strings, so the result stays JSON', () => {
+        const result = decodeUplink({
+            fPort: 1,
+            trace: true,
+            sensorTypes: {
+                COUNTER_64: { type: 201, key: 'counter', precision: 1, signed: false, bytes: 8 },
+                METER_64: { type: 202, key: 'meter', precision: 1, signed: false, bytes: 16,
+                    fields: [
+                        { name: 'import', precision: 1000, signed: false, bytes: 8 },
+                        { name: 'export', precision: 1000, signed: true, bytes: 8 }
+                    ] }
+            },
+            bytes: [
+                201, 1, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF,
+                202, 2, 0x01, 0x00, 0x00, 0x00, 0x00, 0x00, 0x20, 0x00, 0xFE, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF
+            ]
+        });
+
+        expect(result.trace.map((entry) => entry.raw)).toEqual([
+            '18446744073709551615',
+            { import: '9007199254740993', export: -2 }
+        ]);
+        expect(JSON.parse(JSON.stringify(result)).trace[1].raw).toEqual({ import: '9007199254740993', export: -2 });
+        expect(result.errors).toEqual([]);
+    });
+
+    it('decodes 4-byte unsigned values above 2^31 exactly', () => {
+        const result = decodeUplink({
+            fPort: 1,
+            bytes: [
+                SensorTypes.UNIX_TIME.type, 1, 0x00, 0x00, 0x00, 0xF0,   // 4026531840 s
+                SensorTypes.ENRG_SENS.type, 2, 0xFF, 0xFF, 0xFF, 0xFF    // 4294967.295 kWh
+            ]
+        });
+
+        expect(result.data).toEqual({ unixtime_1: 4026531840, energy_2: 4294967.295 });
+        expect(result.errors).toEqual([]);
+    });
+
+    it('decodes signed and unsigned fields of up to 8 bytes', () => {
+        const sensorTypes = {
+            ENERGY_48: { type: 200, key: 'energy48', precision: 1000, signed: false, bytes: 6 },
+            COUNTER_64: { type: 201, key: 'counter', precision: 1, signed: false, bytes: 8 },
+            OFFSET_64: { type: 202, key: 'offset', precision: 1, signed: true, bytes: 8 }
+        };
+
+        const result = decodeUplink({
+            fPort: 1,
+            sensorTypes: sensorTypes,
+            trace: true,
+            bytes: [
+                200, 1, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF,
+                201, 2, 0x01, 0x00, 0x00, 0x00, 0x00, 0x00, 0x20, 0x00,
+                202, 3, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x80,
+                202, 4, 0xFE, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF
+            ]
+        });
+
+        expect(result.data).toEqual({
+            energy48_1: 281474976710.655,
+            counter_2: 9007199254740992,
+            offset_3: -9223372036854775808,
+            offset_4: -2
+        });
+        expect(result.trace.map((entry) => entry.raw)).toEqual([
+            281474976710655, '9007199254740993', '-9223372036854775808', -2
+        ]);
+        expect(encodeValue(BigInt('9007199254740993'), false, 1, 8)).toEqual([0x01, 0, 0, 0, 0, 0, 0x20, 0]);
+        expect(encodeValue(-2, true, 1, 8)).toEqual([0xFE, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF]);
+        expect(encodeValue(Math.pow(2, 64), false, 1, 8)).toBeNull();
+    });
+
+    it('accepts payloads as Buffer, Uint8Array, hex and base64', () => {
+        const expected = decodeUplink({ fPort: 1, bytes: [0x67, 0x01, 0x03, 0x01, 0x00, 0x05, 0x01] });
+
+        expect(expected.data).toEqual({ temperature_1: 25.9, digital_5: 1 });
+        expect(decodeUplink({ fPort: 1, bytes: Buffer.from([0x67, 0x01, 0x03, 0x01, 0x00, 0x05, 0x01]) })).toEqual(expected);
+        expect(decodeUplink({ fPort: 1, bytes: new Uint8Array([0x67, 0x01, 0x03, 0x01, 0x00, 0x05, 0x01]) })).toEqual(expected);
+        expect(decodeUplink({ fPort: 1, bytes: '67 01 03 01 00 05 01' })).toEqual(expected);
+        expect(decodeUplink({ fPort: 1, bytes: 'ZwEDAQAFAQ==' })).toEqual(expected);
+        expect(decodeUplink({ fPort: 1, bytes: '0x67,0x01,0x03,0x01,0x00,0x05,0x01' })).toEqual(expected);
+        expect(decodeUplink({ fPort: 1, bytes: '0x67010301000501' })).toEqual(expected);
+    });
+
+    it('decodes strings of hex digits only with the given encoding', () => {
+        expect(decodeUplink({ fPort: 1, bytes: 'AAED', encoding: 'base64' }).data).toEqual({ digital_1: 3 });
+        expect(decodeUplink({ fPort: 1, bytes: '67010301', encoding: 'hex' }).data).toEqual({ temperature_1: 25.9 });
+        expect(decodeUplink({ fPort: 1, bytes: 'ZwEDAQ==', encoding: 'hex' }).errors)
+            .toEqual(["Invalid payload: string is not hex"]);
+        expect(decodeUplink({ fPort: 1, bytes: '67010301', encoding: 'utf8' }).errors)
+            .toEqual(["Invalid payload encoding: utf8, expected 'hex' or 'base64'"]);
+    });
+
+    it.each([
+        [undefined, "Invalid payload: expected an array of bytes, got undefined"],
+        [null, "Invalid payload: expected an array of bytes, got null"],
+        [{ 0: 0x67 }, "Invalid payload: expected an array of bytes, got object"],
+        [[0x67, 1, 256], "Invalid payload: byte 2 is 256, expected an integer from 0 to 255"],
+        [[0x67, -1], "Invalid payload: byte 1 is -1, expected an integer from 0 to 255"],
+        [[0x67, 1, 1.5], "Invalid payload: byte 2 is 1.5, expected an integer from 0 to 255"],
+        [[0x67, '1'], 'Invalid payload: byte 1 is "1", expected an integer from 0 to 255'],
+        ['67-01', "Invalid payload: string is neither hex nor base64"],
+        ['0x', "Invalid payload: string is neither hex nor base64"],
+        ['AAED', "Invalid payload: AAED can be hex or base64, set the encoding"],
+        ['6701030100', "Invalid payload: 6701030100 can be hex or base64, set the encoding"]
+    ])('rejects the payload %p', (bytes, error) => {
+        expect(decodeUplink({ fPort: 1, bytes: bytes })).toEqual({
+            decoder_version: null, data: {}, warnings: [], errors: [error]
+        });
+    });
+
 });
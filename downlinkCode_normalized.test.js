@@ -0,0 +1,129 @@
+/* This code is free software:
+ * you can redistribute it and/or modify it under the terms of a Creative
+ * Commons Attribution-NonCommercial 4.0 International License
+ * (http://creativecommons.org/licenses/by-nc/4.0/)
+ *
+ * Copyright (c) 2024 March by Klaasjan Wagenaar, Tristan Bosveld and Richard Kroesen
+ */
+
+const { decodeUplink, normalizeUplink, SensorTypes } = require('./decoder_cayenneLPP_extreme');
+
+const gpsRecord = [SensorTypes.GPS_LOC.type, 6, 0x02, 0xDC, 0x07, 0x00, 0xFE, 0x04, 0x00, 0x00, 0xB8, 0x0B, 0x00, 0x00];
+
+describe('Normalize decoded uplinks', () => {
+
+    /* TEST #1 one sensor of every kind */
+    it('maps the readings into a normalized measurement', () => {
+        const decoded = decodeUplink({
+            fPort: 1,
+            bytes: [
+                SensorTypes.TEMP_SENS.type, 1, 0x03, 0x01,            // 25.9 °C
+                SensorTypes.HUM_SENS.type, 1, 0x8F, 0x02,             // 65.5 %RH
+                SensorTypes.BARO_SENS.type, 1, 0x94, 0x27,            // 1013.2 hPa
+                SensorTypes.ILLUM_SENS.type, 2, 0x64, 0x00,           // 100 lux
+                SensorTypes.PRSNC_SENS.type, 3, 0x01,
+                SensorTypes.ANL_IN.type, 5, 0x64, 0x02,               // not normalized
+                SensorTypes.GPS_LOC.type, 6, 0x02, 0xDC, 0x07, 0x00, 0xFE, 0x04, 0x00, 0x00, 0xB8, 0x0B, 0x00, 0x00
+            ]
+        });
+
+        const result = normalizeUplink({ data: decoded.data });
+
+        expect(result).toEqual({
+            data: {
+                air: { temperature: 25.9, relativeHumidity: 65.5, pressure: 1013.2, lightIntensity: 100 },
+                action: { motion: { detected: true } },
+                position: { latitude: 51.5074, longitude: 0.1278 }
+            },
+            warnings: [],
+            errors: []
+        });
+    });
+
+    /* TEST #2 several sensors of one kind */
+    it('makes a measurement per channel when a kind has several sensors', () => {
+        const result = normalizeUplink({
+            data: { temperature_3: 19.5, humidity_3: 40, temperature_1: 25.9, humidity_1: 65, presence_2: 0 }
+        });
+
+        expect(result.data).toEqual([
+            { air: { temperature: 25.9, relativeHumidity: 65 } },
+            { action: { motion: { detected: false } } },
+            { air: { temperature: 19.5, relativeHumidity: 40 } }
+        ]);
+    });
+
+    /* TEST #3 structured and GeoJSON output */
+    it('normalizes structured readings and GeoJSON positions', () => {
+        const decoded = decodeUplink({
+            fPort: 1,
+            output: 'structured',
+            gpsFormat: 'geojson',
+            bytes: [
+                SensorTypes.TEMP_SENS.type, 1, 0x03, 0x01,
+                SensorTypes.GPS_LOC.type, 6, 0x02, 0xDC, 0x07, 0x00, 0xFE, 0x04, 0x00, 0x00, 0xB8, 0x0B, 0x00, 0x00
+            ]
+        });
+
+        expect(normalizeUplink({ data: decoded.data }).data).toEqual({
+            air: { temperature: 25.9 },
+            position: { latitude: 51.5074, longitude: 0.1278 }
+        });
+    });
+
+    /* TEST #4 nothing to normalize */
+    it('returns an empty measurement without normalized readings', () => {
+        expect(normalizeUplink({ data: { analog_5: 6.12, digital_1: 1 } })).toEqual({ data: {}, warnings: [], errors: [] });
+    });
+
+    /* TEST #5 decimal output */
+    it('converts decimal readings to numbers', () => {
+        const bytes = [SensorTypes.TEMP_SENS.type, 1, 0x03, 0x01, SensorTypes.BARO_SENS.type, 1, 0x94, 0x27]
+            .concat(gpsRecord);
+        const expected = {
+            air: { temperature: 25.9, pressure: 1013.2 },
+            position: { latitude: 51.5074, longitude: 0.1278 }
+        };
+
+        expect(normalizeUplink({ data: decodeUplink({ fPort: 1, bytes: bytes, valueFormat: 'decimal' }).data }))
+            .toEqual({ data: expected, warnings: [], errors: [] });
+        const structured = decodeUplink({
+            fPort: 1, bytes: bytes, valueFormat: 'decimal', output: 'structured', gpsFormat: 'geojson'
+        });
+        expect(normalizeUplink({ data: structured.data }).data).toEqual(expected);
+    });
+
+    /* TEST #6 readings renamed by a device profile */
+    it('maps readings renamed by a device profile by their sensor type', () => {
+        const profiles = {
+            greenhouse: {
+                channels: {
+                    temperature_1: { name: 'inside_temp' },
+                    temperature_2: {
+                        name: 'inside_temp_f', unit: '°F', calibration: { type: 'linear', gain: 1.8, offset: 32 }
+                    },
+                    gps_6: { name: 'site' }
+                }
+            }
+        };
+        const input = {
+            fPort: 1,
+            profiles: profiles,
+            profile: 'greenhouse',
+            bytes: [SensorTypes.TEMP_SENS.type, 1, 0x03, 0x01, SensorTypes.TEMP_SENS.type, 2, 0xC8, 0x00]
+                .concat(gpsRecord)
+        };
+        const expected = { air: { temperature: 25.9 }, position: { latitude: 51.5074, longitude: 0.1278 } };
+        const unitWarning = "Reading inside_temp_f not normalized: unit °F instead of °C";
+
+        expect(normalizeUplink({ data: decodeUplink(input).data, profiles: profiles }))
+            .toEqual({ data: expected, warnings: [unitWarning], errors: [] });
+        expect(normalizeUplink({ data: decodeUplink(Object.assign({ output: 'structured' }, input)).data }))
+            .toEqual({ data: expected, warnings: [unitWarning], errors: [] });
+        expect(normalizeUplink({ data: decodeUplink(input).data }).warnings).toEqual([
+            "Reading inside_temp not normalized: unknown sensor type",
+            "Reading inside_temp_f not normalized: unknown sensor type",
+            "Reading site not normalized: unknown sensor type"
+        ]);
+    });
+});
@@ -0,0 +1,116 @@
+/* This code is free software:
+ * you can redistribute it and/or modify it under the terms of a Creative
+ * Commons Attribution-NonCommercial 4.0 International License
+ * (http://creativecommons.org/licenses/by-nc/4.0/)
+ *
+ * Copyright (c) 2024 March by Klaasjan Wagenaar, Tristan Bosveld and Richard Kroesen
+ */
+
+const { decodeUplink, processPayloadVersion_ONE, SensorTypes } = require('./decoder_cayenneLPP_extreme');
+
+const profiles = JSON.parse(JSON.stringify({
+    'soil-node-v2': {
+        fPorts: [1],
+        channels: {
+            analog_5: {
+                name: 'battery_v', required: true, calibration: { type: 'linear', gain: 2, offset: 0.05, decimals: 2 }
+            },
+            analog_6: { name: 'soil_moisture', unit: '%', calibration: { type: 'polynomial', coefficients: [-10, 40, -2.5] } },
+            digital_2: { name: 'pump_on' },
+            temperature_1: { required: true }
+        }
+    },
+    'weather-v1': {
+        fPorts: [5],
+        channels: {
+            analog_5: { name: 'wind_speed', calibration: { type: 'linear', gain: 10 } }
+        }
+    }
+}));
+
+const bytes = [
+    SensorTypes.ANL_IN.type, 5, 0x64, 0x01,     // 3.56 V on the ADC
+    SensorTypes.ANL_IN.type, 6, 0x2C, 0x01,     // 3.00 on the ADC
+    SensorTypes.DIG_IN.type, 2, 1,
+    SensorTypes.TEMP_SENS.type, 1, 0x03, 0x01
+];
+
+describe('Device profiles', () => {
+
+    /* TEST #1 renaming and calibration */
+    it('renames and calibrates the channels of the selected profile', () => {
+        const result = decodeUplink({ fPort: 1, bytes: bytes, profiles: profiles, profile: 'soil-node-v2' });
+
+        expect(result).toEqual({
+            decoder_version: 1,
+            data: { battery_v: 7.17, soil_moisture: 87.5, pump_on: 1, temperature_1: 25.9 },
+            warnings: [],
+            errors: []
+        });
+    });
+
+    /* TEST #2 selection */
+    it('selects the profile by fPort unless the input names one', () => {
+        const payloadVersions = { 5: { version: 5, process: processPayloadVersion_ONE } };
+
+        expect(decodeUplink({ fPort: 1, bytes: bytes, profiles: profiles }).data.battery_v).toBe(7.17);
+        expect(decodeUplink({ fPort: 5, bytes: bytes, profiles: profiles, payloadVersions: payloadVersions }).data)
+            .toEqual({ wind_speed: 35.6, analog_6: 3, digital_2: 1, temperature_1: 25.9 });
+        expect(decodeUplink({ fPort: 1, bytes: bytes, profiles: profiles, profile: 'weather-v1' }).data.wind_speed)
+            .toBe(35.6);
+        expect(decodeUplink({ fPort: 2, bytes: [5, SensorTypes.ANL_IN.type, 0x01, 0x64], profiles: profiles }).data)
+            .toEqual({ analog_5: 3.56 });
+        expect(decodeUplink({ fPort: 1, bytes: bytes, profiles: profiles, profile: 'unknown' })).toEqual({
+            decoder_version: null, data: {}, warnings: [], errors: ["Device profile not supported: unknown"]
+        });
+    });
+
+    /* TEST #3 required channels */
+    it('warns about missing required channels', () => {
+        const result = decodeUplink({ fPort: 1, bytes: bytes.slice(4, 11), profiles: profiles });
+
+        expect(result.data).toEqual({ soil_moisture: 87.5, pump_on: 1 });
+        expect(result.warnings).toEqual([
+            "Missing required channel: analog_5 (battery_v)",
+            "Missing required channel: temperature_1"
+        ]);
+        expect(result.errors).toEqual([]);
+    });
+
+    /* TEST #4 structured output and history samples */
+    it('keeps the metadata of structured readings and calibrates history samples', () => {
+        const structured = decodeUplink({ fPort: 1, bytes: bytes, profiles: profiles, output: 'structured' });
+        const history = decodeUplink({
+            fPort: 3,
+            bytes: [SensorTypes.ANL_IN.type, 5, 0x64, 0x01, SensorTypes.ANL_IN.type, 5, 0x2C, 0x01],
+            profiles: { history: { fPorts: [3], channels: profiles['soil-node-v2'].channels } }
+        });
+
+        expect(structured.data.soil_moisture).toEqual({
+            channel: 6, type: SensorTypes.ANL_IN.type, ipso: 3202, sensor: 'ANL_IN', unit: '%', value: 87.5
+        });
+        expect(history.data.samples.map((sample) => sample.value)).toEqual([7.17, 6.05]);
+        expect(history.data.battery_v).toBe(6.05);
+    });
+
+    /* TEST #5 invalid calibration */
+    it('reports invalid calibrations and values that can not be calibrated', () => {
+        const result = decodeUplink({
+            fPort: 1,
+            bytes: [SensorTypes.ANL_IN.type, 5, 0x64, 0x01, SensorTypes.ACCRM_SENS.type, 1, 0, 0, 0, 0, 0, 0],
+            profiles: {
+                broken: {
+                    fPorts: [1],
+                    channels: {
+                        analog_5: { name: 'battery_v', calibration: { type: 'cubic', coefficients: [1] } },
+                        accelerometer_1: { calibration: { type: 'linear', gain: 2 } }
+                    }
+                }
+            }
+        });
+
+        expect(result.data).toEqual({ battery_v: 3.56, accelerometer_1: { x: 0, y: 0, z: 0 } });
+        expect(result.errors).toEqual(['Invalid calibration of analog_5: {"type":"cubic","coefficients":[1]}']);
+        expect(result.warnings).toEqual(["Calibration of accelerometer_1 skipped: the value is not a number"]);
+    });
+});
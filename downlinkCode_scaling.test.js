@@ -0,0 +1,179 @@
+/* This code is free software:
+ * you can redistribute it and/or modify it under the terms of a Creative
+ * Commons Attribution-NonCommercial 4.0 International License
+ * (http://creativecommons.org/licenses/by-nc/4.0/)
+ *
+ * Copyright (c) 2024 March by Klaasjan Wagenaar, Tristan Bosveld and Richard Kroesen
+ */
+
+const { decodeUplink, SensorTypes, PayloadLayouts } = require('./decoder_cayenneLPP_extreme');
+
+/**
+ * @brief Writes the smallest or largest raw integer of a field, in little endian or big endian order.
+ */
+function boundaryBytes(field, largest, bigEndian) {
+    const bytes = new Array(field.bytes).fill(largest ? 0xFF : 0x00);
+    if (field.signed) {
+        bytes[field.bytes - 1] = largest ? 0x7F : 0x80;
+    }
+    return bigEndian ? bytes.reverse() : bytes;
+}
+
+/**
+ * @brief Builds a record of a sensor type with every field at its smallest or largest value.
+ */
+function boundaryRecord(name, largest, layout) {
+    const sensor = PayloadLayouts[layout].sensorTypes[name];
+    const header = PayloadLayouts[layout].channelFirst ? [1, sensor.type] : [sensor.type, 1];
+    return [].concat(header, ...(sensor.fields || [sensor]).map((field) => {
+        return boundaryBytes(field, largest, PayloadLayouts[layout].bigEndian);
+    }));
+}
+
+/**
+ * @brief Formats a raw integer divided by a power of ten as decimal string, without floating point.
+ */
+function decimalText(raw, decimals) {
+    const digits = String(Math.abs(raw)).padStart(decimals + 1, '0');
+    const point = digits.length - decimals;
+    const text = (raw < 0 ? '-' : '') + digits.slice(0, point) + (decimals ? '.' + digits.slice(point) : '');
+    return decimals ? text.replace(/\.?0+$/, '') : text;
+}
+
+describe('Exact decimal scaling', () => {
+
+    /* TEST #1 boundary values of every sensor type */
+    it.each([
+        ['DIG_IN', 0, 255],
+        ['DIG_OUT', 0, 255],
+        ['ANL_IN', -327.68, 327.67],
+        ['ANL_OUT', -327.68, 327.67],
+        ['GEN_SENS', 0, 4294967295],
+        ['ILLUM_SENS', 0, 65535],
+        ['PRSNC_SENS', 0, 255],
+        ['TEMP_SENS', -3276.8, 3276.7],
+        ['HUM_SENS', 0, 6553.5],
+        ['ACCRM_SENS', { x: -32.768, y: -32.768, z: -32.768 }, { x: 32.767, y: 32.767, z: 32.767 }],
+        ['BARO_SENS', 0, 6553.5],
+        ['VOLT_SENS', 0, 655.35],
+        ['CURR_SENS', 0, 65.535],
+        ['FREQ_SENS', 0, 4294967295],
+        ['PERC_SENS', 0, 255],
+        ['ALT_SENS', -32768, 32767],
+        ['LOAD_SENS', -8388.608, 8388.607],
+        ['CONC_SENS', 0, 65535],
+        ['POWER_SENS', 0, 65535],
+        ['DIST_SENS', 0, 4294967.295],
+        ['ENRG_SENS', 0, 4294967.295],
+        ['DIR_SENS', 0, 65535],
+        ['UNIX_TIME', 0, 4294967295],
+        ['GYRO_SENS', { x: -327.68, y: -327.68, z: -327.68 }, { x: 327.67, y: 327.67, z: 327.67 }],
+        ['COLOUR', { r: 0, g: 0, b: 0 }, { r: 255, g: 255, b: 255 }],
+        ['GPS_LOC',
+            { latitude: -214748.3648, longitude: -214748.3648, altitude: -21474836.48 },
+            { latitude: 214748.3647, longitude: 214748.3647, altitude: 21474836.47 }],
+        ['SWITCH', 0, 255],
+        ['TIME_DELTA', -32768, 32767]
+    ])('decodes the smallest and largest %s values exactly', (name, min, max) => {
+        const key = SensorTypes[name].key + '_1';
+        const trace = (largest) => {
+            return decodeUplink({ fPort: 1, trace: true, bytes: boundaryRecord(name, largest, 'extreme') }).trace[0];
+        };
+
+        expect(trace(false).value).toEqual(min);
+        expect(trace(true).value).toEqual(max);
+        expect(decodeUplink({ fPort: 1, bytes: boundaryRecord(name, true, 'extreme') }).data[key]).toEqual(max);
+    });
+
+    /* TEST #2 boundary values of the standard layout */
+    it.each([
+        ['HUM_SENS', 0, 127.5],
+        ['GPS_LOC',
+            { latitude: -838.8608, longitude: -838.8608, altitude: -83886.08 },
+            { latitude: 838.8607, longitude: 838.8607, altitude: 83886.07 }]
+    ])('decodes the smallest and largest standard %s values exactly', (name, min, max) => {
+        const trace = (largest) => {
+            return decodeUplink({ fPort: 2, trace: true, bytes: boundaryRecord(name, largest, 'standard') }).trace[0];
+        };
+
+        expect(trace(false).value).toEqual(min);
+        expect(trace(true).value).toEqual(max);
+    });
+
+    /* TEST #3 every raw value of the 2-byte types */
+    it.each([
+        ['ANL_IN', 2], ['TEMP_SENS', 1], ['HUM_SENS', 1], ['BARO_SENS', 1], ['VOLT_SENS', 2], ['CURR_SENS', 3]
+    ])('decodes every raw %s value without rounding artifacts', (name, decimals) => {
+        const sensor = SensorTypes[name];
+        const mismatches = [];
+
+        for (let first = 0; first < 0x10000; first += 256) {
+            const bytes = [];
+            for (let raw = first; raw < first + 256; raw++) {
+                bytes.push(sensor.type, raw - first, raw % 256, Math.floor(raw / 256));
+            }
+            decodeUplink({ fPort: 1, trace: true, bytes: bytes }).trace.forEach((entry) => {
+                if (String(entry.value) !== decimalText(entry.raw, decimals)) {
+                    mismatches.push(entry.raw + ': ' + entry.value);
+                }
+            });
+        }
+        expect(mismatches).toEqual([]);
+    });
+
+    /* TEST #4 lossless decimal output */
+    it('returns raw integer and scale pairs with valueFormat decimal', () => {
+        const bytes = [
+            SensorTypes.TEMP_SENS.type, 1, 0x03, 0x01,
+            SensorTypes.ANL_IN.type, 2, 0x88, 0xFF,
+            SensorTypes.GPS_LOC.type, 3, 0x02, 0xDC, 0x07, 0x00, 0x02, 0xFB, 0xFF, 0xFF, 0xB8, 0x0B, 0x00, 0x00
+        ];
+
+        const result = decodeUplink({ fPort: 1, valueFormat: 'decimal', bytes: bytes });
+
+        expect(result.data).toEqual({
+            temperature_1: { raw: 259, scale: 1 },
+            analog_2: { raw: -120, scale: 2 },
+            gps_3: {
+                latitude: { raw: 515074, scale: 4 },
+                longitude: { raw: -1278, scale: 4 },
+                altitude: { raw: 3000, scale: 2 }
+            },
+            latitude: 51.5074,
+            longitude: -0.1278,
+            altitude: 30
+        });
+        expect(decodeUplink({ fPort: 2, valueFormat: 'decimal', bytes: [1, 0x68, 131] }).data).toEqual({
+            humidity_1: { raw: 655, scale: 1 }
+        });
+    });
+
+    /* TEST #5 precisions of custom sensor types */
+    it('scales custom precisions to their decimals', () => {
+        const sensorTypes = {
+            HALF_SENS: { type: 200, key: 'half', precision: 2, signed: true, bytes: 1 },
+            QUARTER_SENS: { type: 201, key: 'quarter', precision: 4, signed: true, bytes: 1 },
+            THIRD_SENS: { type: 202, key: 'third', precision: 3, signed: false, bytes: 1 },
+            WIDE_SENS: { type: 203, key: 'wide', precision: 1000, signed: true, bytes: 8 }
+        };
+
+        const result = decodeUplink({
+            fPort: 1,
+            sensorTypes: sensorTypes,
+            bytes: [200, 1, 0xFD, 201, 1, 0xFD, 202, 1, 0x02, 203, 1, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0x7F]
+        });
+        const decimal = decodeUplink({ fPort: 1, sensorTypes: sensorTypes, valueFormat: 'decimal', bytes: [202, 1, 0x02] });
+
+        expect(result.data).toEqual({ half_1: -1.5, quarter_1: -0.75, third_1: 0.666667, wide_1: 9223372036854775.807 });
+        expect(decimal.data).toEqual({ third_1: { raw: 666667, scale: 6 } });
+        expect(decodeUplink({
+            fPort: 1,
+            sensorTypes: sensorTypes,
+            valueFormat: 'decimal',
+            bytes: [
+                203, 1, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0x7F,
+                203, 2, 0xFE, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF
+            ]
+        }).data).toEqual({ wide_1: { raw: '9223372036854775807', scale: 3 }, wide_2: { raw: -2, scale: 3 } });
+    });
+});
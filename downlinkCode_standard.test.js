@@ -0,0 +1,109 @@
+/* This code is free software:
+ * you can redistribute it and/or modify it under the terms of a Creative
+ * Commons Attribution-NonCommercial 4.0 International License
+ * (http://creativecommons.org/licenses/by-nc/4.0/)
+ *
+ * Copyright (c) 2024 March by Klaasjan Wagenaar, Tristan Bosveld and Richard Kroesen
+ */
+
+const { decodeUplink } = require('./decoder_cayenneLPP_extreme');
+
+/* Reference payloads of the Cayenne LPP specification: [Channel] [Sensor Type] [Data Bytes...], big endian */
+describe('Decode standard Cayenne LPP payloads', () => {
+
+    /* TEST #1 two temperature sensors */
+    it('correctly decodes the reference temperature payload', () => {
+        const input = {
+            fPort: 2,
+            bytes: [0x03, 0x67, 0x01, 0x10, 0x05, 0x67, 0x00, 0xFF]
+        };
+        const expected = {
+            decoder_version: 2,
+            data: {
+                temperature_3: 27.2,
+                temperature_5: 25.5
+            },
+            warnings: [],
+            errors: []
+        };
+
+        const result = decodeUplink(input);
+
+        expect(result).toEqual(expected);
+    });
+
+    /* TEST #2 temperature and accelerometer */
+    it('correctly decodes the reference temperature and accelerometer payload', () => {
+        const input = {
+            fPort: 2,
+            bytes: [0x01, 0x67, 0xFF, 0xD7, 0x06, 0x71, 0x04, 0xD2, 0xFB, 0x2E, 0x00, 0x00]
+        };
+        const expected = {
+            decoder_version: 2,
+            data: {
+                temperature_1: -4.1,
+                accelerometer_6: { x: 1.234, y: -1.234, z: 0 }
+            },
+            warnings: [],
+            errors: []
+        };
+
+        const result = decodeUplink(input);
+
+        expect(result).toEqual(expected);
+    });
+
+    /* TEST #3 GPS with 3 byte fields */
+    it('correctly decodes the reference GPS payload', () => {
+        const input = {
+            fPort: 2,
+            bytes: [0x01, 0x88, 0x06, 0x76, 0x5F, 0xF2, 0x96, 0x0A, 0x00, 0x03, 0xE8]
+        };
+        const expected = {
+            decoder_version: 2,
+            data: {
+                gps_1: { latitude: 42.3519, longitude: -87.9094, altitude: 10 },
+                latitude: 42.3519,
+                longitude: -87.9094,
+                altitude: 10
+            },
+            warnings: [],
+            errors: []
+        };
+
+        const result = decodeUplink(input);
+
+        expect(result).toEqual(expected);
+    });
+
+    /* TEST #4 humidity with 1 byte and 0.5 % resolution */
+    it('correctly decodes 1 byte humidity', () => {
+        const result = decodeUplink({ fPort: 2, bytes: [0x02, 0x68, 0x61] });
+
+        expect(result.data).toEqual({ humidity_2: 48.5 });
+    });
+
+    /* TEST #5 layout selected per call */
+    it('selects the standard layout with the input regardless of the fPort', () => {
+        const bytes = [0x03, 0x67, 0x01, 0x10];
+
+        expect(decodeUplink({ fPort: 1, layout: 'standard', bytes: bytes }).data).toEqual({ temperature_3: 27.2 });
+        expect(decodeUplink({ fPort: 1, bytes: bytes }).data).toEqual({ analog_103: 40.97 });
+    });
+
+    /* TEST #6 unknown layout */
+    it('reports an error for an unknown layout', () => {
+        const result = decodeUplink({ fPort: 1, layout: 'compact', bytes: [0x03, 0x67, 0x01, 0x10] });
+
+        expect(result.decoder_version).toBeNull();
+        expect(result.errors).toEqual(["Payload layout not supported: compact"]);
+    });
+
+    /* TEST #7 truncated header */
+    it('reports errors for a record without type', () => {
+        const result = decodeUplink({ fPort: 2, bytes: [0x03, 0x67, 0x01, 0x10, 0x05] });
+
+        expect(result.data).toEqual({ temperature_3: 27.2 });
+        expect(result.errors).toEqual(["Truncated record at byte 4: channel 5 without type"]);
+    });
+});
@@ -0,0 +1,131 @@
+/* This code is free software:
+ * you can redistribute it and/or modify it under the terms of a Creative
+ * Commons Attribution-NonCommercial 4.0 International License
+ * (http://creativecommons.org/licenses/by-nc/4.0/)
+ *
+ * Copyright (c) 2024 March by Klaasjan Wagenaar, Tristan Bosveld and Richard Kroesen
+ */
+
+const { encodeDownlink, decodeDownlink, CommandTypes } = require('./decoder_cayenneLPP_extreme');
+
+describe('encodeDownlink', () => {
+
+    /* TEST #1 for DIG_OUT */
+    it('correctly encodes a DIG_OUT command', () => {
+        const result = encodeDownlink({ data: { digital_2: 1 } });
+
+        expect(result).toEqual({
+            bytes: [CommandTypes.DIG_OUT.type, 2, 1],
+            fPort: 1,
+            warnings: [],
+            errors: []
+        });
+    });
+
+    /* TEST #2 for ANL_OUT (negative value) */
+    it('correctly encodes an ANL_OUT command', () => {
+        const result = encodeDownlink({ data: { analog_1: -0.12 } });
+
+        expect(result.bytes).toEqual([CommandTypes.ANL_OUT.type, 1, 244, 255]);
+        expect(result.errors).toEqual([]);
+    });
+
+    /* TEST #3 for REPORT_INTVL */
+    it('correctly encodes a reporting interval request', () => {
+        const result = encodeDownlink({ data: { interval: 900 } });
+
+        expect(result.bytes).toEqual([CommandTypes.REPORT_INTVL.type, 0, 0x84, 0x03, 0x00, 0x00]);
+    });
+
+    /* TEST #4 reported errors */
+    it('reports errors for unknown commands and values out of range', () => {
+        const result = encodeDownlink({ data: { digital_1: 1, temperature_1: 20, analog_2: 400, interval: -1 } });
+
+        expect(result.bytes).toEqual([CommandTypes.DIG_OUT.type, 1, 1]);
+        expect(result.errors).toEqual([
+            "Unknown command: temperature_1",
+            "Value out of range: analog_2 = 400",
+            "Value out of range: interval = -1"
+        ]);
+    });
+
+    /* TEST #5 DIG_OUT values */
+    it('rejects DIG_OUT values other than 0 and 1', () => {
+        const result = encodeDownlink({ data: { digital_1: 0.4, digital_2: 200, digital_3: true, digital_4: 0 } });
+
+        expect(result.bytes).toEqual([CommandTypes.DIG_OUT.type, 4, 0]);
+        expect(result.errors).toEqual([
+            "Invalid value: digital_1 = 0.4, expected 0 or 1",
+            "Invalid value: digital_2 = 200, expected 0 or 1",
+            "Invalid value: digital_3 = true, expected 0 or 1"
+        ]);
+    });
+});
+
+describe('decodeDownlink', () => {
+
+    /* TEST #1 round trip of all commands */
+    it('decodes the commands created by encodeDownlink', () => {
+        const data = { digital_2: 1, analog_1: 3.3, analog_4: -1.5, interval: 3600 };
+        const encoded = encodeDownlink({ data: data });
+
+        const result = decodeDownlink({ bytes: encoded.bytes, fPort: encoded.fPort });
+
+        expect(result).toEqual({
+            data: data,
+            warnings: [],
+            errors: []
+        });
+    });
+
+    /* TEST #2 unknown command type */
+    it('reports errors for unknown command types', () => {
+        const result = decodeDownlink({
+            bytes: [CommandTypes.DIG_OUT.type, 1, 0, 0xC8, 1, 1, CommandTypes.DIG_OUT.type, 2, 1],
+            fPort: 1
+        });
+
+        expect(result).toEqual({
+            data: { digital_1: 0 },
+            warnings: [],
+            errors: ["Unknown command type: 200"]
+        });
+    });
+
+    /* TEST #3 truncated command */
+    it('reports errors for truncated commands', () => {
+        const result = decodeDownlink({ bytes: [CommandTypes.ANL_OUT.type, 1, 0x0C], fPort: 1 });
+
+        expect(result.data).toEqual({});
+        expect(result.errors).toEqual(["Command truncated: analog_1"]);
+    });
+
+    /* TEST #4 unsupported payload version */
+    it('reports an error for an unsupported fPort', () => {
+        const result = decodeDownlink({ bytes: [CommandTypes.DIG_OUT.type, 1, 1], fPort: 2 });
+
+        expect(result.data).toEqual({});
+        expect(result.errors).toEqual(["Payload Version not supported: 2"]);
+    });
+
+    /* TEST #5 command without channel */
+    it('reports the byte offset of a command without channel', () => {
+        const result = decodeDownlink({ bytes: [CommandTypes.DIG_OUT.type, 2, 1, CommandTypes.DIG_OUT.type], fPort: 1 });
+
+        expect(result.data).toEqual({ digital_2: 1 });
+        expect(result.errors).toEqual(["Command truncated at byte 3: digital without channel"]);
+        expect(decodeDownlink({ bytes: [CommandTypes.REPORT_INTVL.type], fPort: 1 }).errors)
+            .toEqual(["Command truncated at byte 0: interval without channel"]);
+    });
+
+    /* TEST #6 invalid payload */
+    it('returns an error instead of throwing without valid bytes', () => {
+        expect(decodeDownlink({ fPort: 1 })).toEqual({
+            data: {},
+            warnings: [],
+            errors: ["Invalid payload: expected an array of bytes, got undefined"]
+        });
+        expect(decodeDownlink({ bytes: [1, 2, 256], fPort: 1 }).errors)
+            .toEqual(["Invalid payload: byte 2 is 256, expected an integer from 0 to 255"]);
+    });
+});
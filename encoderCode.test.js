@@ -0,0 +1,201 @@
+/* This code is free software:
+ * you can redistribute it and/or modify it under the terms of a Creative
+ * Commons Attribution-NonCommercial 4.0 International License
+ * (http://creativecommons.org/licenses/by-nc/4.0/)
+ *
+ * Copyright (c) 2024 March by Klaasjan Wagenaar, Tristan Bosveld and Richard Kroesen
+ */
+
+const { decodeUplink, SensorTypes } = require('./decoder_cayenneLPP_extreme');
+const { encodeUplink } = require('./encoder_cayenneLPP_extreme');
+
+describe('encodeUplink', () => {
+
+    /* TEST #1 byte layout equals the decoder input */
+    it('encodes TEMP_SENS sensor data in little endian', () => {
+        const result = encodeUplink({ temperature_3: -1.2 });
+
+        expect(result).toEqual({
+            fPort: 1,
+            bytes: [SensorTypes.TEMP_SENS.type, 3, 244, 255],
+            warnings: [],
+            errors: []
+        });
+    });
+
+    /* TEST #2 multi value sensor type */
+    it('encodes GPS_LOC sensor data with altitude precision', () => {
+        const result = encodeUplink({ gps_6: { latitude: 51.5074, longitude: 0.1278, altitude: 30.0 } });
+
+        expect(result.bytes).toEqual([
+            SensorTypes.GPS_LOC.type, 6,
+            0x02, 0xDC, 0x07, 0x00, // 515074
+            0xFE, 0x04, 0x00, 0x00, // 1278
+            0xB8, 0x0B, 0x00, 0x00  // 3000
+        ]);
+        expect(result.errors).toEqual([]);
+    });
+
+    /* TEST #3 round trip for every sensor type */
+    it.each([
+        ['digital_5', 1],
+        ['analog_1', -0.12],
+        ['illumination_1', 100],
+        ['presence_2', 1],
+        ['temperature_3', 25.9],
+        ['humidity_1', 65.5],
+        ['accelerometer_1', { x: -1.234, y: 0.002, z: 9.81 }],
+        ['barometer_1', 1013.2],
+        ['gyroscope_1', { x: 1.5, y: -2.25, z: 0 }],
+        ['gps_6', { latitude: 51.5074, longitude: 5.9107, altitude: 30.5 }],
+        ['generic_1', 123456],
+        ['voltage_2', 3.71],
+        ['current_1', 0.125],
+        ['frequency_1', 868000000],
+        ['percentage_3', 75],
+        ['altitude_1', -12],
+        ['load_1', -1.5],
+        ['concentration_1', 415],
+        ['power_1', 1500],
+        ['distance_1', 12.345],
+        ['energy_1', 2.5],
+        ['direction_1', 270],
+        ['unixtime_1', 1710892800],
+        ['colour_4', { r: 255, g: 128, b: 0 }],
+        ['switch_2', 1]
+    ])('round trips %s through decodeUplink', (key, value) => {
+        const encoded = encodeUplink({ [key]: value });
+        const decoded = decodeUplink({ fPort: encoded.fPort, bytes: encoded.bytes });
+
+        expect(encoded.errors).toEqual([]);
+        expect(decoded.data[key]).toEqual(value);
+    });
+
+    /* TEST #4 multiple sensors in one payload */
+    it('round trips a mix of sensor types', () => {
+        const data = {
+            digital_1: 1,
+            temperature_2: 30.0,
+            analog_5: 6.12,
+            gps_3: { latitude: 51.5074, longitude: 0.1278, altitude: 30.0 }
+        };
+
+        const encoded = encodeUplink(data, { fPort: 1 });
+        const decoded = decodeUplink({ fPort: 1, bytes: encoded.bytes });
+
+        expect(decoded.data).toEqual({ ...data, latitude: 51.5074, longitude: 0.1278, altitude: 30.0 });
+        expect(encodeUplink(decoded.data)).toEqual(encoded);
+    });
+
+    /* TEST #5 reported errors */
+    it('reports errors for unknown keys and values out of range', () => {
+        const result = encodeUplink({
+            temperature_1: 25.9,
+            pressure_1: 1,
+            humidity_2: -5,
+            accelerometer_3: { x: 1, y: 2 },
+            digital_300: 1
+        });
+
+        expect(result.bytes).toEqual([SensorTypes.TEMP_SENS.type, 1, 3, 1]);
+        expect(result.errors).toEqual([
+            "Unknown key: pressure_1",
+            "Value out of range: humidity_2 = -5",
+            "Value out of range: accelerometer_3.z = undefined",
+            "Channel out of range: digital_300"
+        ]);
+    });
+
+    /* TEST #6 custom sensor types */
+    it('encodes custom sensor types passed with the options', () => {
+        const sensorTypes = {
+            LEVEL_SENS: { type: 201, key: 'level', precision: 10, signed: false, bytes: 2 }
+        };
+
+        const encoded = encodeUplink({ level_1: 12.5 }, { sensorTypes: sensorTypes });
+
+        expect(encoded.bytes).toEqual([201, 1, 125, 0]);
+        expect(decodeUplink({ fPort: 1, bytes: encoded.bytes, sensorTypes: sensorTypes }).data)
+            .toEqual({ level_1: 12.5 });
+    });
+
+    /* TEST #7 unsupported payload version */
+    it('reports an error for an unsupported fPort', () => {
+        const result = encodeUplink({ temperature_1: 25.9 }, { fPort: 9 });
+
+        expect(result).toEqual({
+            fPort: 9,
+            bytes: [],
+            warnings: [],
+            errors: ["Payload Version not supported: 9"]
+        });
+    });
+
+    /* TEST #8 standard layout on fPort 2 */
+    it('encodes the standard Cayenne LPP layout on fPort 2', () => {
+        const data = {
+            temperature_1: -1.2,
+            humidity_2: 65.5,
+            gps_3: { latitude: 51.5074, longitude: 5.9107, altitude: 30.5 }
+        };
+
+        const encoded = encodeUplink(data, { fPort: 2 });
+
+        expect(encoded.bytes).toEqual([
+            1, SensorTypes.TEMP_SENS.type, 0xFF, 0xF4,
+            2, SensorTypes.HUM_SENS.type, 131,
+            3, SensorTypes.GPS_LOC.type, 0x07, 0xDC, 0x02, 0x00, 0xE6, 0xE3, 0x00, 0x0B, 0xEA
+        ]);
+        expect(encoded.errors).toEqual([]);
+        expect(decodeUplink({ fPort: 2, bytes: encoded.bytes }).data)
+            .toEqual({ ...data, latitude: 51.5074, longitude: 5.9107, altitude: 30.5 });
+    });
+
+    /* TEST #9 history payload on fPort 3 */
+    it('round trips the samples of a history payload on fPort 3', () => {
+        const samples = [
+            { channel: 1, type: SensorTypes.TEMP_SENS.type, value: 24.5, time: null },
+            { channel: 1, type: SensorTypes.TEMP_SENS.type, value: 25, time: '2024-03-20T00:00:00.000Z' },
+            { channel: 2, type: SensorTypes.HUM_SENS.type, value: 60, time: '2024-03-20T00:00:00.000Z' },
+            { channel: 1, type: SensorTypes.TEMP_SENS.type, value: 26, time: '2024-03-20T00:01:00.000Z' }
+        ];
+
+        const encoded = encodeUplink({ samples: samples, temperature_1: 26, humidity_2: 60 }, { fPort: 3 });
+        const decoded = decodeUplink({ fPort: 3, bytes: encoded.bytes, recvTime: '2024-03-20T12:00:00.000Z' });
+
+        expect(encoded.errors).toEqual([]);
+        expect(encoded.bytes.slice(0, 10)).toEqual([
+            SensorTypes.TEMP_SENS.type, 1, 245, 0,
+            SensorTypes.UNIX_TIME.type, 0, 0x00, 0x27, 0xFA, 0x65
+        ]);
+        expect(decoded.data.samples).toEqual([
+            { ...samples[0], time: '2024-03-20T12:00:00.000Z' },
+            samples[1], samples[2], samples[3]
+        ]);
+        expect(encodeUplink(decoded.data, { fPort: 3 }).errors).toEqual([]);
+        expect(encodeUplink({ temperature_1: 26 }, { fPort: 3 }).bytes)
+            .toEqual([SensorTypes.TEMP_SENS.type, 1, 4, 1]);
+    });
+
+    /* TEST #10 invalid samples */
+    it('reports samples without a valid time or sensor type', () => {
+        const result = encodeUplink({ samples: [
+            { channel: 1, type: SensorTypes.TEMP_SENS.type, value: 25, time: '2024-03-20T00:00:00.000Z' },
+            { channel: 1, type: SensorTypes.TEMP_SENS.type, value: 26, time: null },
+            { channel: 1, type: SensorTypes.TEMP_SENS.type, value: 27, time: 'yesterday' },
+            { channel: 1, type: 4, value: 1, time: '2024-03-20T00:00:00.000Z' },
+            { channel: 256, type: SensorTypes.TEMP_SENS.type, value: 1, time: '2024-03-20T00:00:00.000Z' }
+        ] }, { fPort: 3 });
+
+        expect(result.bytes).toEqual([
+            SensorTypes.UNIX_TIME.type, 0, 0x00, 0x27, 0xFA, 0x65,
+            SensorTypes.TEMP_SENS.type, 1, 250, 0
+        ]);
+        expect(result.errors).toEqual([
+            "Missing time: samples[1] follows a sample with a time",
+            "Invalid time: samples[2].time = yesterday",
+            "Unknown sensor type: samples[3].type = 4",
+            "Channel out of range: samples[4]"
+        ]);
+    });
+});
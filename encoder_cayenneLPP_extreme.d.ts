@@ -0,0 +1,29 @@
+/* This code is free software:
+ * you can redistribute it and/or modify it under the terms of a Creative
+ * Commons Attribution-NonCommercial 4.0 International License
+ * (http://creativecommons.org/licenses/by-nc/4.0/)
+ *
+ * Copyright (c) 2024 March by Klaasjan Wagenaar, Tristan Bosveld and Richard Kroesen
+ */
+
+import { DecodedData, SensorType } from './decoder_cayenneLPP_extreme';
+
+/**
+ * @brief The options of `encodeUplink`.
+ *
+ * `fPort` 1 (default) writes the "extreme" layout, 2 the standard Cayenne LPP layout and 3 the `samples`
+ * of the data as a history payload; other fPorts give a "Payload Version not supported" error.
+ */
+export interface EncodeOptions {
+    fPort?: number;
+    sensorTypes?: Record<string, SensorType>;
+}
+
+export interface EncodeResult {
+    fPort: number;
+    bytes: number[];
+    warnings: string[];
+    errors: string[];
+}
+
+export declare function encodeUplink(data: DecodedData, options?: EncodeOptions): EncodeResult;
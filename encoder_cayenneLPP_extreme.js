@@ -0,0 +1,233 @@
+/* This code is free software:
+ * you can redistribute it and/or modify it under the terms of a Creative
+ * Commons Attribution-NonCommercial 4.0 International License
+ * (http://creativecommons.org/licenses/by-nc/4.0/)
+ *
+ * Copyright (c) 2024 March by Klaasjan Wagenaar, Tristan Bosveld and Richard Kroesen
+ */
+
+const { encodeValue, resolveSensorTypes, PayloadLayouts, SensorTypes } = require('./decoder_cayenneLPP_extreme');
+
+/**
+ * @brief The keys of the device location that `decodeUplink` adds next to a GPS reading.
+ */
+const LocationKeys = ['latitude', 'longitude', 'altitude'];
+
+/**
+ * @brief The payload versions the encoder writes, keyed by fPort, the counterparts of `PayloadVersions`.
+ *
+ * - `layout`: The name of the `PayloadLayouts` entry to encode with.
+ * - `history`: True when the readings are written as a timestamped history payload, see `encodeSamples`.
+ */
+const EncodeVersions = {
+    1: { layout: 'extreme' },
+    2: { layout: 'standard' },
+    3: { layout: 'extreme', history: true }
+};
+
+/**
+ * @brief Encodes an object of sensor readings into an uplink payload.
+ *
+ * This function is the counterpart of `decodeUplink`: every key of `data` has the form `<key>_<channel>`,
+ * with the `key` of a sensor type, and is written as a record in the layout of the fPort, on fPort 1
+ * `[Sensor Type] [Channel] [Data Bytes...]` in little endian order and on fPort 2 the standard Cayenne LPP
+ * layout `[Channel] [Sensor Type] [Data Bytes...]` in big endian order with the sizes of
+ * `PayloadLayouts.standard`. On fPort 3 the `samples` of `data` are written as a history payload, see
+ * `encodeSamples`; without `samples` the keys are written as on fPort 1, readings at the reception time.
+ * Keys are encoded in the order they appear in `data`. When sensor types share a key, like `digital`
+ * and `analog` for inputs and outputs, the first sensor type in the table (the input) is used. The
+ * `latitude`, `longitude` and `altitude` keys of the device location repeat a GPS reading and are skipped.
+ *
+ * @param data An object with the readings to encode, e.g. `{ temperature_1: 25.9, gps_3: { latitude, longitude, altitude } }`.
+ * @param options Optional settings, `fPort` selects the payload version (default 1) and `sensorTypes`
+ *                adds or overrides sensor types in the same way as for `decodeUplink`.
+ * @return Returns an object with the following structure:
+ *         {
+ *           fPort: <version>,              // Integer representing the payload version
+ *           bytes: <bytes_array>,          // Array of bytes with the encoded payload
+ *           warnings: <warnings_array>,    // Array of strings representing any warnings
+ *           errors: <errors_array>,        // Array of strings representing any errors encountered
+ *         }
+ */
+function encodeUplink(data, options) {
+    let fPort = (options && options.fPort !== undefined) ? options.fPort : 1;
+    let bytes = [];
+    let warnings = [];
+    let errors = [];
+    let version = EncodeVersions.hasOwnProperty(fPort) ? EncodeVersions[fPort] : null;
+
+    if (version === null) {
+        errors.push("Payload Version not supported: " + fPort);
+    } else {
+        let layout = PayloadLayouts[version.layout];
+        let sensorTypes = resolveSensorTypes(options && options.sensorTypes, layout.sensorTypes);
+        let records = (version.history && data && Array.isArray(data.samples))
+            ? encodeSamples(data.samples, sensorTypes)
+            : encodeReadings(data, sensorTypes);
+
+        for (let record of records) {
+            if (record.error) {
+                errors.push(record.error);
+            } else {
+                bytes = bytes.concat(writeRecord(record, layout));
+            }
+        }
+    }
+
+    return {
+        fPort: fPort,
+        bytes: bytes,
+        warnings: warnings,
+        errors: errors,
+    };
+}
+
+/**
+ * @brief Encodes the keys of a data object into sensor records, see `encodeRecord`.
+ *
+ * @param data An object with the readings to encode, keyed `<key>_<channel>`.
+ * @param sensorTypes The mapping of sensor types to encode with.
+ * @return An array with a record or an `error` per key, the location keys are skipped.
+ */
+function encodeReadings(data, sensorTypes) {
+    let records = [];
+    for (let key in data) {
+        if (LocationKeys.indexOf(key) !== -1) {
+            continue;
+        }
+        let match = /^(\w+)_(\d+)$/.exec(key);
+        let sensor = match ? findKeyType(match[1], sensorTypes) : null;
+        if (sensor === null) {
+            records.push({ error: "Unknown key: " + key });
+        } else {
+            records.push(encodeRecord(sensor, Number(match[2]), data[key], key));
+        }
+    }
+    return records;
+}
+
+/**
+ * @brief Encodes the samples of a history payload into sensor records and time records.
+ *
+ * This is the counterpart of `processPayloadHistory`. A UNIX_TIME record on channel 0 is written before
+ * every sample whose `time` differs from the time of the sample before it. Samples with a `null` time
+ * are only possible before the first time record, where the decoder uses the reception time, so a
+ * sample without time after a timed sample is an error. Times are written in whole seconds.
+ *
+ * @param samples An array of `{ channel, type, value, time }` objects, as `decodeUplink` returns them.
+ * @param sensorTypes The mapping of sensor types to encode with.
+ * @return An array with a record or an `error` per sample and time record.
+ */
+function encodeSamples(samples, sensorTypes) {
+    let records = [];
+    let time = null;
+
+    samples.forEach(function (sample, index) {
+        let name = "samples[" + index + "]";
+        let sampleTime = (sample.time === null || sample.time === undefined) ? null : new Date(sample.time).getTime();
+        if (sampleTime !== null && isNaN(sampleTime)) {
+            records.push({ error: "Invalid time: " + name + ".time = " + sample.time });
+            return;
+        }
+        if (sampleTime === null && time !== null) {
+            records.push({ error: "Missing time: " + name + " follows a sample with a time" });
+            return;
+        }
+        if (sampleTime !== null && sampleTime !== time) {
+            records.push(encodeRecord(SensorTypes.UNIX_TIME, 0, sampleTime / 1000, name + ".time"));
+            time = sampleTime;
+        }
+
+        let sensor = findType(sample.type, sensorTypes);
+        if (sensor === null) {
+            records.push({ error: "Unknown sensor type: " + name + ".type = " + sample.type });
+        } else {
+            records.push(encodeRecord(sensor, sample.channel, sample.value, name));
+        }
+    });
+    return records;
+}
+
+/**
+ * @brief Encodes a single reading into a sensor record.
+ *
+ * @param sensor The sensor type of the reading.
+ * @param channel The channel of the reading, 0 to 255.
+ * @param value The reading, a number or an object with a number for each field of the sensor type.
+ * @param name The name of the reading in error messages, e.g. `temperature_1`.
+ * @return An object with the `type`, `channel` and the `values`, an array of the little endian bytes of
+ *         every value, or an `error` string.
+ */
+function encodeRecord(sensor, channel, value, name) {
+    if (!Number.isInteger(channel) || channel < 0 || channel > 255) {
+        return { error: "Channel out of range: " + name };
+    }
+
+    if (!sensor.fields) {
+        let encoded = encodeValue(value, sensor.signed, sensor.precision, sensor.bytes);
+        if (encoded === null) {
+            return { error: "Value out of range: " + name + " = " + value };
+        }
+        return { type: sensor.type, channel: channel, values: [encoded] };
+    }
+
+    let values = [];
+    for (let field of sensor.fields) {
+        let fieldValue = value ? value[field.name] : undefined;
+        let encoded = encodeValue(fieldValue, field.signed, field.precision, field.bytes);
+        if (encoded === null) {
+            return { error: "Value out of range: " + name + "." + field.name + " = " + fieldValue };
+        }
+        values.push(encoded);
+    }
+    return { type: sensor.type, channel: channel, values: values };
+}
+
+/**
+ * @brief Writes a sensor record in the header order and byte order of a payload layout.
+ *
+ * @param record A record of `encodeRecord`.
+ * @param layout An entry of `PayloadLayouts`.
+ * @return The bytes of the record.
+ */
+function writeRecord(record, layout) {
+    let bytes = layout.channelFirst ? [record.channel, record.type] : [record.type, record.channel];
+    for (let value of record.values) {
+        bytes = bytes.concat(layout.bigEndian ? value.slice().reverse() : value);
+    }
+    return bytes;
+}
+
+/**
+ * @brief Looks up a sensor type by its numeric identifier.
+ *
+ * @param type The numeric identifier of the sensor type, e.g. `103`.
+ * @param sensorTypes The mapping of sensor types to search.
+ * @return The sensor type, or `null` when it is unknown.
+ */
+function findType(type, sensorTypes) {
+    for (let name in sensorTypes) {
+        if (sensorTypes[name].type === type) {
+            return sensorTypes[name];
+        }
+    }
+    return null;
+}
+
+/**
+ * @brief Looks up the first sensor type with the given key.
+ *
+ * @param key The key prefix of a reading, e.g. `temperature`.
+ * @param sensorTypes The mapping of sensor types to search.
+ * @return The sensor type, or `null` when no sensor type uses the key.
+ */
+function findKeyType(key, sensorTypes) {
+    for (let name in sensorTypes) {
+        if (sensorTypes[name].key === key) {
+            return sensorTypes[name];
+        }
+    }
+    return null;
+}
+
+module.exports = { encodeUplink };